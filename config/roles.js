@@ -0,0 +1,77 @@
+// Roles a user account can hold
+const ROLES = {
+    CUSTOMER: 'customer',
+    SUPPORT_AGENT: 'support_agent',
+    SENIOR_SUPPORT: 'senior_support',
+    CATALOG_MANAGER: 'catalog_manager',
+    ADMIN: 'admin'
+};
+
+// Named permissions checked by restrictTo()
+const PERMISSIONS = {
+    PRODUCTS_WRITE: 'products:write',
+    INVENTORY_MANAGE: 'inventory:manage',
+    CURRENCIES_MANAGE: 'currencies:manage',
+    REVIEWS_MODERATE: 'reviews:moderate',
+    ORDERS_READ_ALL: 'orders:read_all',
+    ORDERS_MANAGE: 'orders:manage',
+    TICKETS_READ_ALL: 'tickets:read_all',
+    TICKETS_MANAGE: 'tickets:manage',
+    TICKETS_ASSIGN: 'tickets:assign',
+    TICKETS_ESCALATE: 'tickets:escalate',
+    USERS_MANAGE: 'users:manage',
+    API_KEYS_MANAGE: 'api_keys:manage'
+};
+
+// Scopes that can be granted to API keys for server-to-server calls
+const API_KEY_SCOPES = {
+    ORDERS_READ: 'orders:read',
+    ORDERS_WRITE: 'orders:write',
+    PRODUCTS_READ: 'products:read',
+    PRODUCTS_WRITE: 'products:write'
+};
+
+const SUPPORT_AGENT_PERMISSIONS = [
+    PERMISSIONS.TICKETS_READ_ALL,
+    PERMISSIONS.TICKETS_MANAGE,
+    PERMISSIONS.ORDERS_READ_ALL
+];
+
+const ROLE_PERMISSIONS = {
+    [ROLES.CUSTOMER]: [],
+    [ROLES.SUPPORT_AGENT]: SUPPORT_AGENT_PERMISSIONS,
+    [ROLES.SENIOR_SUPPORT]: [
+        ...SUPPORT_AGENT_PERMISSIONS,
+        PERMISSIONS.TICKETS_ASSIGN,
+        PERMISSIONS.TICKETS_ESCALATE,
+        PERMISSIONS.ORDERS_MANAGE,
+        PERMISSIONS.REVIEWS_MODERATE
+    ],
+    [ROLES.CATALOG_MANAGER]: [
+        PERMISSIONS.PRODUCTS_WRITE,
+        PERMISSIONS.INVENTORY_MANAGE,
+        PERMISSIONS.CURRENCIES_MANAGE,
+        PERMISSIONS.REVIEWS_MODERATE
+    ],
+    [ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
+
+// Get the permissions granted to a role
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+// Get every role that grants a permission
+const getRolesWithPermission = (permission) => Object.keys(ROLE_PERMISSIONS)
+    .filter(role => hasPermission(role, permission));
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    API_KEY_SCOPES,
+    ROLE_PERMISSIONS,
+    getPermissions,
+    hasPermission,
+    getRolesWithPermission
+};
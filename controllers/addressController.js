@@ -0,0 +1,154 @@
+const User = require('../models/User');
+
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_FIELDS = ['label', 'fullName', 'street', 'city', 'postalCode', 'country', 'phone'];
+
+// Serialize the address book with default flags resolved
+const formatAddresses = (user) => user.addresses.map(address => ({
+    ...address.toObject(),
+    isDefaultShipping: Boolean(user.defaultShippingAddress) &&
+        user.defaultShippingAddress.equals(address._id),
+    isDefaultBilling: Boolean(user.defaultBillingAddress) &&
+        user.defaultBillingAddress.equals(address._id)
+}));
+
+// Apply isDefaultShipping / isDefaultBilling flags from the request body
+const applyDefaultFlags = (user, addressId, body) => {
+    if (body.isDefaultShipping === true) {
+        user.defaultShippingAddress = addressId;
+    } else if (body.isDefaultShipping === false &&
+        user.defaultShippingAddress && user.defaultShippingAddress.equals(addressId)) {
+        user.defaultShippingAddress = null;
+    }
+
+    if (body.isDefaultBilling === true) {
+        user.defaultBillingAddress = addressId;
+    } else if (body.isDefaultBilling === false &&
+        user.defaultBillingAddress && user.defaultBillingAddress.equals(addressId)) {
+        user.defaultBillingAddress = null;
+    }
+};
+
+// @desc    Get saved addresses
+// @route   GET /api/users/addresses
+// @access  Private
+const getAddresses = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        res.json(formatAddresses(user));
+    } catch (error) {
+        res.status(500).json({
+            message: 'Server error fetching addresses',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Add a saved address
+// @route   POST /api/users/addresses
+// @access  Private
+const addAddress = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.addresses.length >= MAX_ADDRESSES) {
+            return res.status(400).json({
+                message: `You can save at most ${MAX_ADDRESSES} addresses`
+            });
+        }
+
+        const fields = {};
+        ADDRESS_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        });
+
+        user.addresses.push(fields);
+        const address = user.addresses[user.addresses.length - 1];
+
+        // The first address becomes the default for both until changed
+        if (user.addresses.length === 1) {
+            user.defaultShippingAddress = address._id;
+            user.defaultBillingAddress = address._id;
+        }
+        applyDefaultFlags(user, address._id, req.body);
+
+        await user.save();
+
+        res.status(201).json(formatAddresses(user));
+    } catch (error) {
+        res.status(400).json({
+            message: 'Error adding address',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Update a saved address
+// @route   PUT /api/users/addresses/:addressId
+// @access  Private
+const updateAddress = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        const address = user.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return res.status(404).json({
+                message: 'Address not found'
+            });
+        }
+
+        ADDRESS_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) address[field] = req.body[field];
+        });
+        applyDefaultFlags(user, address._id, req.body);
+
+        await user.save();
+
+        res.json(formatAddresses(user));
+    } catch (error) {
+        res.status(400).json({
+            message: 'Error updating address',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Delete a saved address
+// @route   DELETE /api/users/addresses/:addressId
+// @access  Private
+const deleteAddress = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        const address = user.addresses.id(req.params.addressId);
+
+        if (!address) {
+            return res.status(404).json({
+                message: 'Address not found'
+            });
+        }
+
+        address.deleteOne();
+        applyDefaultFlags(user, address._id, {
+            isDefaultShipping: false,
+            isDefaultBilling: false
+        });
+
+        await user.save();
+
+        res.json(formatAddresses(user));
+    } catch (error) {
+        res.status(500).json({
+            message: 'Server error deleting address',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getAddresses,
+    addAddress,
+    updateAddress,
+    deleteAddress
+};
@@ -0,0 +1,418 @@
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const LoginAttemptService = require('../services/loginAttemptService');
+const SessionService = require('../services/sessionService');
+const NotificationService = require('../services/notificationService');
+const ApiKeyService = require('../services/apiKeyService');
+const escapeRegex = require('../utils/escapeRegex');
+const { ROLES } = require('../config/roles');
+
+const USER_LIST_FIELDS = '-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes';
+
+// Close any live socket of the user
+const disconnectUserSockets = (req, userId) => {
+    const webSocketService = req.app.get('webSocketService');
+    if (webSocketService) {
+        webSocketService.disconnectUser(userId);
+    }
+};
+
+// Admins may not suspend or demote themselves
+const isSelf = (req) => req.params.id === req.user._id.toString();
+
+// @desc    Search users
+// @route   GET /api/admin/users
+// @access  Private/Admin
+const getUsers = async (req, res) => {
+    try {
+        const { 
+            search, 
+            username,
+            email,
+            role, 
+            status,
+            createdFrom, 
+            createdTo, 
+            page = 1, 
+            limit = 20 
+        } = req.query;
+
+        const filter = {};
+
+        if (search) {
+            const searchRegex = new RegExp(escapeRegex(search), 'i');
+            filter.$or = [
+                { username: searchRegex },
+                { email: searchRegex }
+            ];
+        }
+
+        if (username) {
+            filter.username = new RegExp(escapeRegex(username), 'i');
+        }
+
+        if (email) {
+            filter.email = new RegExp(escapeRegex(email), 'i');
+        }
+
+        // Only known roles, so a query object cannot become an operator
+        if (role) {
+            if (!Object.values(ROLES).includes(role)) {
+                return res.status(400).json({ 
+                    message: `Role must be one of: ${Object.values(ROLES).join(', ')}` 
+                });
+            }
+            filter.role = role;
+        }
+
+        if (status === 'suspended') {
+            filter.suspendedAt = { $ne: null };
+        } else if (status === 'active') {
+            filter.suspendedAt = null;
+        }
+
+        if (createdFrom || createdTo) {
+            filter.createdAt = {};
+            if (createdFrom) filter.createdAt.$gte = new Date(createdFrom);
+            if (createdTo) filter.createdAt.$lte = new Date(createdTo);
+        }
+
+        const options = {
+            page: Math.max(parseInt(page, 10) || 1, 1),
+            limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+            sort: { createdAt: -1 },
+            select: USER_LIST_FIELDS
+        };
+
+        const result = await User.paginate(filter, options);
+
+        res.json({
+            users: result.docs,
+            totalPages: result.totalPages,
+            currentPage: result.page,
+            totalUsers: result.totalDocs
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error fetching users',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Get a user
+// @route   GET /api/admin/users/:id
+// @access  Private/Admin
+const getUserById = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select(USER_LIST_FIELDS);
+
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'User not found' 
+            });
+        }
+
+        const locked = await LoginAttemptService.isLocked(user.username);
+
+        res.json({ ...user.toJSON(), locked });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error fetching user',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Suspend a user and end all their sessions
+// @route   PATCH /api/admin/users/:id/suspend
+// @access  Private/Admin
+const suspendUser = async (req, res) => {
+    try {
+        if (isSelf(req)) {
+            return res.status(400).json({ 
+                message: 'You cannot suspend your own account' 
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'User not found' 
+            });
+        }
+
+        user.suspendedAt = new Date();
+        user.suspensionReason = req.body.reason;
+        user.suspendedBy = req.user._id;
+
+        await user.save({ validateBeforeSave: false });
+
+        await SessionService.revokeAllSessions(user._id, { reason: 'Account suspended' });
+        disconnectUserSockets(req, user._id);
+
+        res.json({
+            message: 'User suspended',
+            _id: user._id,
+            username: user.username,
+            suspendedAt: user.suspendedAt
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error suspending user',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Reactivate a suspended user
+// @route   PATCH /api/admin/users/:id/reactivate
+// @access  Private/Admin
+const reactivateUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'User not found' 
+            });
+        }
+
+        user.suspendedAt = null;
+        user.suspensionReason = undefined;
+        user.suspendedBy = undefined;
+
+        await user.save({ validateBeforeSave: false });
+
+        res.json({
+            message: 'User reactivated',
+            _id: user._id,
+            username: user.username
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error reactivating user',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (isSelf(req)) {
+            return res.status(400).json({ 
+                message: 'You cannot change your own role' 
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'User not found' 
+            });
+        }
+
+        const previousRole = user.role;
+        user.role = role;
+
+        // Check the new role without re-validating the rest of the account
+        await user.save({ validateModifiedOnly: true });
+
+        // Demoted staff lose their elevated sessions immediately
+        if (previousRole !== ROLES.CUSTOMER && role === ROLES.CUSTOMER) {
+            await SessionService.revokeAllSessions(user._id, { reason: 'Role changed' });
+            disconnectUserSockets(req, user._id);
+        }
+
+        res.json({
+            message: 'User role updated',
+            _id: user._id,
+            username: user.username,
+            role: user.role,
+            permissions: user.permissions
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error updating role',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Force a user to reset their password
+// @route   POST /api/admin/users/:id/force-password-reset
+// @access  Private/Admin
+const forcePasswordReset = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'User not found' 
+            });
+        }
+
+        const resetToken = user.createPasswordResetToken();
+        user.passwordResetRequired = true;
+
+        await user.save({ validateBeforeSave: false });
+
+        await SessionService.revokeAllSessions(user._id, { reason: 'Password reset forced by admin' });
+        disconnectUserSockets(req, user._id);
+
+        await NotificationService.sendPasswordResetEmail(user, resetToken);
+
+        res.json({
+            message: 'Password reset required and reset email sent',
+            _id: user._id,
+            username: user.username
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error forcing password reset',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Unlock a user locked out by failed logins
+// @route   POST /api/admin/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'User not found' 
+            });
+        }
+
+        const wasLocked = await LoginAttemptService.isLocked(user.username);
+        await LoginAttemptService.unlock(user.username);
+
+        res.json({
+            message: wasLocked ? 'User unlocked' : 'User was not locked',
+            _id: user._id,
+            username: user.username
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error unlocking user',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Create an API key
+// @route   POST /api/admin/api-keys
+// @access  Private/Admin
+const createApiKey = async (req, res) => {
+    try {
+        const { name, scopes, ownerId, expiresAt } = req.body;
+
+        const ownerUserId = ownerId || req.user._id;
+        const owner = await User.findById(ownerUserId);
+
+        if (!owner) {
+            return res.status(404).json({ 
+                message: 'Key owner not found' 
+            });
+        }
+
+        const { apiKey, rawKey } = await ApiKeyService.createKey({
+            name,
+            scopes,
+            owner: owner._id,
+            createdBy: req.user._id,
+            expiresAt
+        });
+
+        res.status(201).json({
+            _id: apiKey._id,
+            name: apiKey.name,
+            prefix: apiKey.prefix,
+            scopes: apiKey.scopes,
+            owner: apiKey.owner,
+            expiresAt: apiKey.expiresAt,
+            createdAt: apiKey.createdAt,
+            // Only time the full key is ever returned
+            key: rawKey
+        });
+    } catch (error) {
+        res.status(400).json({ 
+            message: 'Error creating API key',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    List API keys
+// @route   GET /api/admin/api-keys
+// @access  Private/Admin
+const getApiKeys = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.includeRevoked !== 'true') {
+            filter.revokedAt = null;
+        }
+
+        const apiKeys = await ApiKey.find(filter)
+            .populate('owner', 'username email')
+            .populate('createdBy', 'username')
+            .sort({ createdAt: -1 });
+
+        res.json(apiKeys);
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error fetching API keys',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private/Admin
+const revokeApiKey = async (req, res) => {
+    try {
+        const apiKey = await ApiKeyService.revokeKey(req.params.id);
+
+        if (!apiKey) {
+            return res.status(404).json({ 
+                message: 'API key not found or already revoked' 
+            });
+        }
+
+        res.json({ 
+            message: 'API key revoked',
+            _id: apiKey._id,
+            revokedAt: apiKey.revokedAt
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error revoking API key',
+            error: error.message 
+        });
+    }
+};
+
+module.exports = {
+    getUsers,
+    getUserById,
+    suspendUser,
+    reactivateUser,
+    updateUserRole,
+    forcePasswordReset,
+    unlockUser,
+    createApiKey,
+    getApiKeys,
+    revokeApiKey
+};
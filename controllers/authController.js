@@ -1,11 +1,46 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const SessionService = require('../services/sessionService');
+const NotificationService = require('../services/notificationService');
+const TwoFactorService = require('../services/twoFactorService');
+const LoginAttemptService = require('../services/loginAttemptService');
+const PrivacyService = require('../services/privacyService');
 
-// Generate JWT Token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d'
+// Refuse login for suspended accounts or accounts pending a forced reset
+const rejectBlockedLogin = (user, res) => {
+    if (user.suspendedAt) {
+        res.status(403).json({ 
+            message: 'Your account has been suspended' 
+        });
+        return true;
+    }
+
+    if (user.passwordResetRequired) {
+        res.status(403).json({ 
+            message: 'A password reset is required. Please check your email',
+            passwordResetRequired: true
+        });
+        return true;
+    }
+
+    return false;
+};
+
+// Open a session and send the standard login payload
+const sendLoginResponse = async (user, req, res) => {
+    const { token, refreshToken } = await SessionService.createSession(user, req);
+
+    res.json({
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        isAdmin: user.isAdmin,
+        role: user.role,
+        permissions: user.permissions,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
+        token,
+        refreshToken
     });
 };
 
@@ -32,18 +67,27 @@ const registerUser = async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, salt);
 
         // Create user
-        const user = await User.create({
+        const user = new User({
             username,
             email,
             password: hashedPassword
         });
+        const verificationToken = user.createEmailVerificationToken();
+        await user.save();
 
         if (user) {
+            NotificationService.sendEmailVerificationEmail(user, verificationToken)
+                .catch(emailError => console.error('Error sending verification email:', emailError));
+
+            const { token, refreshToken } = await SessionService.createSession(user, req);
+
             res.status(201).json({
                 _id: user._id,
                 username: user.username,
                 email: user.email,
-                token: generateToken(user._id)
+                emailVerified: user.emailVerified,
+                token,
+                refreshToken
             });
         } else {
             res.status(400).json({ 
@@ -64,19 +108,37 @@ const registerUser = async (req, res) => {
 const loginUser = async (req, res) => {
     try {
         const { username, password } = req.body;
+        const attempt = { username, ip: req.ip };
+
+        // Refuse early while the account or IP is delayed or locked
+        const gate = await LoginAttemptService.check(attempt);
+        if (!gate.allowed) {
+            res.set('Retry-After', gate.retryAfter);
+            return res.status(gate.statusCode).json({ 
+                message: gate.message 
+            });
+        }
 
         // Check for user
         const user = await User.findOne({ username });
 
         if (user && (await bcrypt.compare(password, user.password))) {
-            res.json({
-                _id: user._id,
-                username: user.username,
-                email: user.email,
-                isAdmin: user.isAdmin,
-                token: generateToken(user._id)
-            });
+            if (rejectBlockedLogin(user, res)) return;
+
+            // Second step required before a session is issued;
+            // failures there still count against the account
+            if (user.twoFactor.enabled) {
+                return res.json({
+                    twoFactorRequired: true,
+                    twoFactorToken: TwoFactorService.generateChallengeToken(user._id)
+                });
+            }
+
+            await LoginAttemptService.recordSuccess(attempt);
+            await sendLoginResponse(user, req, res);
         } else {
+            await LoginAttemptService.recordFailure(attempt, user);
+
             res.status(401).json({ 
                 message: 'Invalid credentials' 
             });
@@ -89,6 +151,68 @@ const loginUser = async (req, res) => {
     }
 };
 
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/users/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { twoFactorToken, code, recoveryCode } = req.body;
+
+        let decoded;
+        try {
+            decoded = TwoFactorService.verifyChallengeToken(twoFactorToken);
+        } catch (error) {
+            return res.status(401).json({ 
+                message: 'Two-factor challenge is invalid or has expired. Please log in again' 
+            });
+        }
+
+        const user = await User.findById(decoded.id)
+            .select('+twoFactor.secret');
+
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(401).json({ 
+                message: 'Invalid credentials' 
+            });
+        }
+
+        const attempt = { username: user.username, ip: req.ip };
+
+        const gate = await LoginAttemptService.check(attempt);
+        if (!gate.allowed) {
+            res.set('Retry-After', gate.retryAfter);
+            return res.status(gate.statusCode).json({ 
+                message: gate.message 
+            });
+        }
+
+        let verified = false;
+        if (code) {
+            verified = await TwoFactorService.verifyCode(user, user.twoFactor.secret, code);
+        } else if (recoveryCode) {
+            verified = await TwoFactorService.consumeRecoveryCode(user, recoveryCode);
+        }
+
+        if (!verified) {
+            await LoginAttemptService.recordFailure(attempt, user);
+
+            return res.status(401).json({ 
+                message: 'Invalid two-factor code' 
+            });
+        }
+
+        await LoginAttemptService.recordSuccess(attempt);
+        if (rejectBlockedLogin(user, res)) return;
+
+        await sendLoginResponse(user, req, res);
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error during two-factor login',
+            error: error.message 
+        });
+    }
+};
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -121,7 +245,14 @@ const updateUserProfile = async (req, res) => {
         if (user) {
             // Update fields
             user.username = req.body.username || user.username;
-            user.email = req.body.email || user.email;
+
+            // A new email address has to be verified again
+            let verificationToken;
+            if (req.body.email && req.body.email !== user.email) {
+                user.email = req.body.email;
+                user.emailVerified = false;
+                verificationToken = user.createEmailVerificationToken();
+            }
             
             // Update password if provided
             if (req.body.password) {
@@ -131,11 +262,25 @@ const updateUserProfile = async (req, res) => {
 
             const updatedUser = await user.save();
 
+            if (verificationToken) {
+                NotificationService.sendEmailVerificationEmail(updatedUser, verificationToken)
+                    .catch(emailError => console.error('Error sending verification email:', emailError));
+            }
+
+            // A password change signs out every other device
+            if (req.body.password) {
+                await SessionService.revokeAllSessions(updatedUser._id, {
+                    exceptSessionId: req.authSession._id,
+                    reason: 'Password changed'
+                });
+            }
+
             res.json({
                 _id: updatedUser._id,
                 username: updatedUser.username,
                 email: updatedUser.email,
-                token: generateToken(updatedUser._id)
+                emailVerified: updatedUser.emailVerified,
+                token: SessionService.generateAccessToken(updatedUser._id, req.authSession._id)
             });
         } else {
             res.status(404).json({ 
@@ -150,9 +295,282 @@ const updateUserProfile = async (req, res) => {
     }
 };
 
+// @desc    Export all personal data of the user
+// @route   GET /api/users/profile/export
+// @access  Private
+const exportUserData = async (req, res) => {
+    try {
+        const data = await PrivacyService.exportUserData(req.user._id);
+
+        res.set(
+            'Content-Disposition', 
+            `attachment; filename="user-data-${req.user._id}.json"`
+        );
+        res.json(data);
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error exporting user data',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Delete account and erase personal data
+// @route   DELETE /api/users/profile
+// @access  Private
+const deleteUserAccount = async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        const user = await User.findById(req.user._id);
+
+        if (!user || !(await bcrypt.compare(password, user.password))) {
+            return res.status(401).json({ 
+                message: 'Password is incorrect' 
+            });
+        }
+
+        if (await PrivacyService.hasActiveOrders(user._id)) {
+            return res.status(409).json({ 
+                message: 'Your account cannot be deleted while orders are being processed or shipped' 
+            });
+        }
+
+        const summary = await PrivacyService.deleteUserAccount(user);
+
+        res.json({ 
+            message: 'Your account and personal data have been deleted',
+            ...summary
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error deleting account',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/users/refresh
+// @access  Public
+const refreshSession = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const rotated = await SessionService.rotateRefreshToken(refreshToken, req);
+
+        if (!rotated) {
+            return res.status(401).json({ 
+                message: 'Invalid or expired refresh token' 
+            });
+        }
+
+        res.json({
+            token: rotated.token,
+            refreshToken: rotated.refreshToken
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error refreshing session',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Log out of the current session
+// @route   POST /api/users/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+    try {
+        await SessionService.revokeSession(req.authSession._id);
+
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error during logout',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Log out of all devices
+// @route   POST /api/users/logout-all
+// @access  Private
+const logoutAllDevices = async (req, res) => {
+    try {
+        const revokedSessions = await SessionService.revokeAllSessions(req.user._id);
+
+        res.json({ 
+            message: 'Logged out of all devices',
+            revokedSessions
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error during logout',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+    // Same response whether or not the account exists
+    const genericResponse = { 
+        message: 'If an account exists for that email, a password reset link has been sent' 
+    };
+
+    try {
+        const { email } = req.body;
+
+        const user = await User.findOne({ email });
+
+        if (!user) {
+            return res.json(genericResponse);
+        }
+
+        const resetToken = user.createPasswordResetToken();
+        await user.save({ validateBeforeSave: false });
+
+        // Not awaited so response time does not reveal that the account exists
+        NotificationService.sendPasswordResetEmail(user, resetToken)
+            .catch(async (emailError) => {
+                console.error('Error sending password reset email:', emailError);
+
+                user.passwordResetToken = undefined;
+                user.passwordResetExpires = undefined;
+                await user.save({ validateBeforeSave: false }).catch(() => {});
+            });
+
+        res.json(genericResponse);
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error requesting password reset',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/users/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const user = await User.findOne({
+            passwordResetToken: User.hashToken(token),
+            passwordResetExpires: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({ 
+                message: 'Reset token is invalid or has expired' 
+            });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(password, salt);
+
+        // Tokens are single-use
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        user.passwordResetRequired = false;
+
+        await user.save();
+
+        // Whoever had access before the reset must sign in again
+        await SessionService.revokeAllSessions(user._id, { reason: 'Password reset' });
+
+        res.json({ message: 'Password has been reset. Please log in with your new password' });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error resetting password',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Verify email address with an emailed token
+// @route   POST /api/users/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const user = await User.findOne({
+            emailVerificationToken: User.hashToken(token),
+            emailVerificationExpires: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({ 
+                message: 'Verification token is invalid or has expired' 
+            });
+        }
+
+        user.emailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+
+        await user.save();
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error verifying email',
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/users/verify-email/resend
+// @access  Private
+const resendVerificationEmail = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (!user) {
+            return res.status(404).json({ 
+                message: 'User not found' 
+            });
+        }
+
+        if (user.emailVerified) {
+            return res.status(400).json({ 
+                message: 'Email is already verified' 
+            });
+        }
+
+        const verificationToken = user.createEmailVerificationToken();
+        await user.save({ validateBeforeSave: false });
+
+        await NotificationService.sendEmailVerificationEmail(user, verificationToken);
+
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Server error sending verification email',
+            error: error.message 
+        });
+    }
+};
+
 module.exports = {
     registerUser,
     loginUser,
+    verifyTwoFactorLogin,
     getUserProfile,
-    updateUserProfile
+    updateUserProfile,
+    exportUserData,
+    deleteUserAccount,
+    refreshSession,
+    logoutUser,
+    logoutAllDevices,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail
 };
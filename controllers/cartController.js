@@ -1,6 +1,37 @@
 const asyncHandler = require('express-async-handler');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const StockReservationService = require('../services/stockReservationService');
+const CurrencyService = require('../services/currencyService');
+
+// Cart lines are keyed by product and variant; carts are loaded with
+// products populated, so compare on the ID either way
+const isSameLine = (item, productId, variantId) => 
+    (item.product._id || item.product).toString() === productId.toString() &&
+    String(item.variant || '') === String(variantId || '');
+
+// Check that a variant was chosen when the product requires one
+const resolveVariant = (product, variantId) => {
+    if (product.variants.length === 0) {
+        return { variant: null };
+    }
+
+    const variant = product.getVariant(variantId);
+    if (!variant || !variant.isActive) {
+        return { error: variantId ? 'Variant not found' : 'Please select a variant' };
+    }
+
+    return { variant };
+};
+
+// Units a customer can put in their cart: what nobody has reserved, plus
+// what their own checkout already holds
+const getAvailable = (product, variantId, reservations) =>
+    product.getAvailableStock(variantId) +
+    StockReservationService.heldQuantity(reservations, product._id, variantId);
+
+const findReservations = (cart) => 
+    cart && !cart.isNew ? StockReservationService.findActive({ cart: cart._id }) : [];
 
 // @desc    Sync cart items
 // @route   POST /api/cart/sync
@@ -18,22 +49,32 @@ exports.syncCart = asyncHandler(async (req, res) => {
             });
         }
 
+        const reservations = await findReservations(cart);
+
         // Validate and update cart items
         const validatedItems = await Promise.all(cartItems.map(async (item) => {
             const product = await Product.findById(item.product);
             
-            if (!product) {
+            if (!product || !product.isVisible()) {
                 throw new Error(`Product ${item.product} not found`);
             }
 
-            if (item.quantity > product.countInStock) {
+            const { variant, error } = resolveVariant(product, item.variant);
+            if (error) {
+                throw new Error(`${error} for product ${product.name}`);
+            }
+
+            const variantId = variant ? variant._id : null;
+
+            if (item.quantity > getAvailable(product, variantId, reservations)) {
                 throw new Error(`Insufficient stock for product ${product.name}`);
             }
 
             return {
                 product: product._id,
+                variant: variantId,
                 quantity: item.quantity,
-                price: product.price
+                price: product.getPrice(variantId)
             };
         }));
 
@@ -56,32 +97,61 @@ exports.syncCart = asyncHandler(async (req, res) => {
 // @access  Private
 exports.getCart = asyncHandler(async (req, res) => {
     const cart = await Cart.findOne({ user: req.user._id })
-        .populate('items.product', 'name price image countInStock');
+        .populate('items.product', 'name price salePrice currencyPrices images imageUrl stock reserved options variants');
 
     if (!cart) {
         return res.status(200).json({ items: [] });
     }
 
-    res.status(200).json(cart.items);
+    const reservations = await findReservations(cart);
+
+    // Report what is still available, how long checkout holds each line and
+    // its price in the requested currency
+    const items = cart.items.map(item => {
+        const line = item.toJSON();
+        const reservation = reservations.find(candidate => 
+            candidate.product.equals(line.product ? line.product._id : item.product) &&
+            String(candidate.variant || '') === String(item.variant || '')
+        );
+
+        line.availableStock = item.product 
+            ? getAvailable(item.product, item.variant, reservations) 
+            : 0;
+        line.reservedUntil = reservation ? reservation.expiresAt : null;
+        line.currency = req.currency.currency;
+        line.displayPrice = item.product 
+            ? CurrencyService.priceFor(item.product, item.variant, req.currency) 
+            : null;
+        return line;
+    });
+
+    res.status(200).json(items);
 });
 
 // @desc    Add item to cart
 // @route   POST /api/cart/add
 // @access  Private
 exports.addToCart = asyncHandler(async (req, res) => {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || !product.isVisible()) {
         return res.status(404).json({ message: 'Product not found' });
     }
 
-    if (quantity > product.countInStock) {
-        return res.status(400).json({ message: 'Insufficient stock' });
+    const { variant, error } = resolveVariant(product, variantId);
+    if (error) {
+        return res.status(400).json({ message: error });
     }
 
+    const lineVariantId = variant ? variant._id : null;
+
     let cart = await Cart.findOne({ user: req.user._id });
 
+    if (quantity > getAvailable(product, lineVariantId, await findReservations(cart))) {
+        return res.status(400).json({ message: 'Insufficient stock' });
+    }
+
     if (!cart) {
         cart = new Cart({ 
             user: req.user._id, 
@@ -90,7 +160,7 @@ exports.addToCart = asyncHandler(async (req, res) => {
     }
 
     const existingItemIndex = cart.items.findIndex(
-        item => item.product.toString() === productId
+        item => isSameLine(item, productId, lineVariantId)
     );
 
     if (existingItemIndex > -1) {
@@ -98,8 +168,9 @@ exports.addToCart = asyncHandler(async (req, res) => {
     } else {
         cart.items.push({ 
             product: productId, 
+            variant: lineVariantId,
             quantity, 
-            price: product.price 
+            price: product.getPrice(lineVariantId) 
         });
     }
 
@@ -112,10 +183,11 @@ exports.addToCart = asyncHandler(async (req, res) => {
 });
 
 // @desc    Remove item from cart
-// @route   DELETE /api/cart/remove/:productId
+// @route   DELETE /api/cart/remove/:productId?variantId=
 // @access  Private
 exports.removeFromCart = asyncHandler(async (req, res) => {
     const { productId } = req.params;
+    const { variantId } = req.query;
 
     const cart = await Cart.findOne({ user: req.user._id });
 
@@ -124,7 +196,7 @@ exports.removeFromCart = asyncHandler(async (req, res) => {
     }
 
     cart.items = cart.items.filter(
-        item => item.product.toString() !== productId
+        item => !isSameLine(item, productId, variantId)
     );
 
     await cart.save();
@@ -140,25 +212,25 @@ exports.removeFromCart = asyncHandler(async (req, res) => {
 // @access  Private
 exports.updateCartItemQuantity = asyncHandler(async (req, res) => {
     const { productId } = req.params;
-    const { quantity } = req.body;
+    const { quantity, variantId } = req.body;
 
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || !product.isVisible()) {
         return res.status(404).json({ message: 'Product not found' });
     }
 
-    if (quantity > product.countInStock) {
-        return res.status(400).json({ message: 'Insufficient stock' });
-    }
-
     const cart = await Cart.findOne({ user: req.user._id });
 
     if (!cart) {
         return res.status(404).json({ message: 'Cart not found' });
     }
 
+    if (quantity > getAvailable(product, variantId, await findReservations(cart))) {
+        return res.status(400).json({ message: 'Insufficient stock' });
+    }
+
     const itemIndex = cart.items.findIndex(
-        item => item.product.toString() === productId
+        item => isSameLine(item, productId, variantId)
     );
 
     if (itemIndex > -1) {
@@ -173,3 +245,41 @@ exports.updateCartItemQuantity = asyncHandler(async (req, res) => {
         res.status(404).json({ message: 'Item not found in cart' });
     }
 });
+
+// @desc    Start checkout: reserve every cart line for a limited time
+// @route   POST /api/cart/checkout
+// @access  Private
+exports.startCheckout = asyncHandler(async (req, res) => {
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ message: 'Your cart is empty' });
+    }
+
+    try {
+        const { reservations, expiresAt } = await StockReservationService.reserveCart(cart);
+
+        res.status(200).json({
+            message: 'Stock reserved for checkout',
+            reservedUntil: expiresAt,
+            reservations
+        });
+    } catch (error) {
+        res.status(error.statusCode || 400).json({ 
+            message: error.message 
+        });
+    }
+});
+
+// @desc    Abandon checkout and release the cart's reservations
+// @route   DELETE /api/cart/checkout
+// @access  Private
+exports.cancelCheckout = asyncHandler(async (req, res) => {
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (cart) {
+        await StockReservationService.releaseFor({ cart: cart._id });
+    }
+
+    res.status(200).json({ message: 'Checkout reservation released' });
+});
@@ -0,0 +1,174 @@
+const asyncHandler = require('express-async-handler');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const SearchSuggestionService = require('../services/searchSuggestionService');
+
+// Save errors are the admin's to fix; a slug taken by a concurrent save
+// surfaces as a duplicate key error
+const saveErrorMessage = (error, category) => error.code === 11000
+    ? `Slug ${category.slug} is already used by another category`
+    : error.message;
+
+// Nest a flat, sorted category list under its parents
+const buildTree = (categories) => {
+    const nodes = new Map();
+    const roots = [];
+
+    categories.forEach(category => {
+        nodes.set(category._id.toString(), { ...category.toJSON(), children: [] });
+    });
+
+    nodes.forEach(node => {
+        const parentNode = node.parent && nodes.get(node.parent.toString());
+        if (parentNode) {
+            parentNode.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    return roots;
+};
+
+// @desc    Get the category tree
+// @route   GET /api/categories
+// @access  Public
+const getCategories = asyncHandler(async (req, res) => {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+    const categories = await Category.find(filter)
+        .sort({ depth: 1, sortOrder: 1, name: 1 });
+
+    if (req.query.flat === 'true') {
+        return res.json(categories);
+    }
+
+    res.json(buildTree(categories));
+});
+
+// @desc    Get a category by ID or slug with breadcrumbs and children
+// @route   GET /api/categories/:idOrSlug
+// @access  Public
+const getCategory = asyncHandler(async (req, res) => {
+    const category = await Category.findByIdOrSlug(req.params.idOrSlug);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Category not found');
+    }
+
+    const [ancestors, children] = await Promise.all([
+        Category.find({ _id: { $in: category.ancestorIds } }).sort({ depth: 1 }),
+        Category.find({ parent: category._id, isActive: true }).sort({ sortOrder: 1, name: 1 })
+    ]);
+
+    res.json({
+        ...category.toJSON(),
+        // Own and inherited definitions, for product forms and filters
+        attributeDefinitions: Category.mergeAttributeDefinitions([...ancestors, category]),
+        breadcrumbs: ancestors.map(ancestor => ({
+            _id: ancestor._id,
+            name: ancestor.name,
+            slug: ancestor.slug
+        })),
+        children
+    });
+});
+
+// @desc    Create a category
+// @route   POST /api/categories
+// @access  Private/Catalog
+const createCategory = asyncHandler(async (req, res) => {
+    const { name, slug, description, parent, sortOrder, isActive, attributes } = req.body;
+
+    const category = new Category({
+        name,
+        slug,
+        description,
+        parent: parent || null,
+        sortOrder,
+        isActive,
+        attributes
+    });
+
+    try {
+        const createdCategory = await category.save();
+
+        SearchSuggestionService.indexCategory(createdCategory)
+            .catch(indexError => console.error('Error indexing category suggestion:', indexError));
+
+        res.status(201).json(createdCategory);
+    } catch (error) {
+        return res.status(400).json({ message: saveErrorMessage(error, category) });
+    }
+});
+
+// @desc    Update or move a category
+// @route   PUT /api/categories/:id
+// @access  Private/Catalog
+const updateCategory = asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Category not found');
+    }
+
+    // Attribute definitions are replaced as a whole; values products already
+    // store are kept and can be corrected by editing the product
+    ['name', 'slug', 'description', 'sortOrder', 'isActive', 'attributes'].forEach(field => {
+        if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+
+    if (req.body.parent !== undefined) {
+        category.parent = req.body.parent || null;
+    }
+
+    try {
+        const updatedCategory = await category.save();
+
+        SearchSuggestionService.indexCategory(updatedCategory)
+            .catch(indexError => console.error('Error indexing category suggestion:', indexError));
+
+        res.json(updatedCategory);
+    } catch (error) {
+        return res.status(400).json({ message: saveErrorMessage(error, category) });
+    }
+});
+
+// @desc    Delete an empty category
+// @route   DELETE /api/categories/:id
+// @access  Private/Catalog
+const deleteCategory = asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+        res.status(404);
+        throw new Error('Category not found');
+    }
+
+    const [childCount, productCount] = await Promise.all([
+        Category.countDocuments({ parent: category._id }),
+        Product.countDocuments({ category: category._id })
+    ]);
+
+    if (childCount > 0 || productCount > 0) {
+        res.status(400);
+        throw new Error('Move or delete its subcategories and products before deleting this category');
+    }
+
+    await category.deleteOne();
+
+    SearchSuggestionService.removeCategory(category._id)
+        .catch(indexError => console.error('Error removing category suggestion:', indexError));
+
+    res.json({ message: 'Category removed' });
+});
+
+module.exports = {
+    getCategories,
+    getCategory,
+    createCategory,
+    updateCategory,
+    deleteCategory
+};
@@ -0,0 +1,49 @@
+const asyncHandler = require('express-async-handler');
+const CurrencyService = require('../services/currencyService');
+
+// @desc    Get the currencies prices can be shown in, with their rates
+// @route   GET /api/currencies
+// @access  Public
+const getCurrencies = asyncHandler(async (req, res) => {
+    res.json({
+        baseCurrency: CurrencyService.baseCurrency,
+        currencies: await CurrencyService.listCurrencies()
+    });
+});
+
+// @desc    Add a currency or change its exchange rate
+// @route   PUT /api/admin/currencies/:code
+// @access  Private/Catalog
+const setExchangeRate = asyncHandler(async (req, res) => {
+    const { rate, decimals } = req.body;
+
+    try {
+        const exchangeRate = await CurrencyService.setRate(req.params.code, { rate, decimals }, {
+            actor: req.user._id
+        });
+        res.json(exchangeRate);
+    } catch (error) {
+        res.status(error.statusCode || 400);
+        throw error;
+    }
+});
+
+// @desc    Stop offering a currency
+// @route   DELETE /api/admin/currencies/:code
+// @access  Private/Catalog
+const deleteExchangeRate = asyncHandler(async (req, res) => {
+    const removed = await CurrencyService.removeRate(req.params.code);
+
+    if (!removed) {
+        res.status(404);
+        throw new Error('Currency not found');
+    }
+
+    res.json({ message: `${removed.currency} removed` });
+});
+
+module.exports = {
+    getCurrencies,
+    setExchangeRate,
+    deleteExchangeRate
+};
@@ -0,0 +1,126 @@
+const asyncHandler = require('express-async-handler');
+const StockMovement = require('../models/StockMovement');
+const Order = require('../models/Order');
+const InventoryService = require('../services/inventoryService');
+
+// Make sure a return refers to a line of the order and does not exceed
+// what was bought, counting earlier returns
+const checkReturn = async (req, res) => {
+    const { product, variant = null, order: orderId, quantity } = req.body;
+
+    const order = await Order.findById(orderId).select('orderItems');
+    if (!order) {
+        res.status(404);
+        throw new Error('Order not found');
+    }
+
+    const item = order.orderItems.find(orderItem =>
+        (orderItem.product._id || orderItem.product).toString() === product &&
+        String(orderItem.variant || '') === String(variant || '')
+    );
+    if (!item) {
+        res.status(400);
+        throw new Error('The order does not contain this product');
+    }
+
+    const returns = await StockMovement.find({ order: order._id, product, variant, type: 'return' })
+        .select('quantity');
+    const returned = returns.reduce((total, movement) => total + movement.quantity, 0);
+
+    if (returned + quantity > item.quantity) {
+        res.status(400);
+        throw new Error(`Only ${item.quantity - returned} item(s) of this order line can still be returned`);
+    }
+};
+
+// @desc    Get stock movement history
+// @route   GET /api/admin/inventory/movements
+// @access  Private/Inventory
+const getStockMovements = asyncHandler(async (req, res) => {
+    const { product, variant, type, order, from, to } = req.query;
+    const filter = {};
+
+    if (product) filter.product = product;
+    if (variant) filter.variant = variant;
+    if (type) filter.type = type;
+    if (order) filter.order = order;
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const result = await StockMovement.paginate(filter, {
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200),
+        sort: { createdAt: -1, _id: -1 },
+        populate: [
+            { path: 'product', select: 'name sku' },
+            { path: 'actor', select: 'username' }
+        ]
+    });
+
+    res.json({
+        movements: result.docs,
+        totalResults: result.totalDocs,
+        currentPage: result.page,
+        totalPages: result.totalPages
+    });
+});
+
+// @desc    Record a manual adjustment, return or restock
+// @route   POST /api/admin/inventory/movements
+// @access  Private/Inventory
+const createStockMovement = asyncHandler(async (req, res) => {
+    const { type, product, variant = null, quantity, setTo, reason, order } = req.body;
+
+    if (type === 'return') {
+        await checkReturn(req, res);
+    }
+
+    let movement;
+    try {
+        movement = setTo !== undefined
+            ? await InventoryService.setStock({
+                productId: product,
+                variantId: variant,
+                stock: setTo,
+                reason,
+                actor: req.user._id
+            })
+            : await InventoryService.recordMovement({
+                productId: product,
+                variantId: variant,
+                type,
+                quantity,
+                reason,
+                actor: req.user._id,
+                order: type === 'return' ? order : null
+            });
+    } catch (error) {
+        res.status(error.statusCode || 500);
+        throw error;
+    }
+
+    if (!movement) {
+        return res.json({ message: 'Stock already matches the counted value' });
+    }
+
+    res.status(201).json(movement);
+});
+
+// @desc    Compare product stock with the ledger
+// @route   GET /api/admin/inventory/reconciliation
+// @access  Private/Inventory
+const getReconciliationReport = asyncHandler(async (req, res) => {
+    const report = await InventoryService.reconcile({ includeMatching: req.query.all === 'true' });
+
+    res.json(report);
+});
+
+module.exports = {
+    getStockMovements,
+    createStockMovement,
+    getReconciliationReport
+};
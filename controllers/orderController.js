@@ -2,8 +2,45 @@ const asyncHandler = require('express-async-handler');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Ticket = require('../models/Ticket');
+const Cart = require('../models/Cart');
+const InventoryService = require('../services/inventoryService');
+const StockReservationService = require('../services/stockReservationService');
+const CurrencyService = require('../services/currencyService');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 
+// Copy a saved address into the order's address shape
+const toOrderAddress = (address) => ({
+    sourceAddress: address._id,
+    label: address.label,
+    fullName: address.fullName,
+    phone: address.phone,
+    address: address.street,
+    city: address.city,
+    postalCode: address.postalCode,
+    country: address.country
+});
+
+// Resolve an address from a saved address ID, an inline address or the
+// user's default, in that order
+const resolveOrderAddress = (res, user, addressId, inlineAddress, defaultId) => {
+    if (addressId) {
+        const saved = user.addresses.id(addressId);
+        if (!saved) {
+            res.status(404);
+            throw new Error(`Address ${addressId} not found in your address book`);
+        }
+        return toOrderAddress(saved);
+    }
+
+    if (inlineAddress) {
+        return inlineAddress;
+    }
+
+    const fallback = defaultId && user.addresses.id(defaultId);
+    return fallback ? toOrderAddress(fallback) : undefined;
+};
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
@@ -11,10 +48,12 @@ const addOrderItems = asyncHandler(async (req, res) => {
     const { 
         orderItems, 
         shippingAddress, 
+        shippingAddressId,
+        billingAddress,
+        billingAddressId,
         paymentMethod, 
-        taxPrice, 
-        shippingPrice, 
-        totalPrice 
+        taxPrice = 0, 
+        shippingPrice = 0
     } = req.body;
 
     // Validate order items
@@ -23,6 +62,19 @@ const addOrderItems = asyncHandler(async (req, res) => {
         throw new Error('No order items');
     }
 
+    // Snapshot addresses so later address book edits do not change the order
+    const orderShippingAddress = resolveOrderAddress(
+        res, req.user, shippingAddressId, shippingAddress, req.user.defaultShippingAddress
+    );
+    const orderBillingAddress = resolveOrderAddress(
+        res, req.user, billingAddressId, billingAddress, req.user.defaultBillingAddress
+    ) || orderShippingAddress;
+
+    if (!orderShippingAddress) {
+        res.status(400);
+        throw new Error('Shipping address is required');
+    }
+
     // Validate and enrich order items
     const enrichedOrderItems = await Promise.all(orderItems.map(async (item) => {
         const product = await Product.findById(item.product);
@@ -32,50 +84,87 @@ const addOrderItems = asyncHandler(async (req, res) => {
             throw new Error(`Product ${item.product} not found`);
         }
 
-        if (product.countInStock < item.quantity) {
+        if (!product.isVisible()) {
+            res.status(400);
+            throw new Error(`Product ${product.name} is no longer available`);
+        }
+
+        const variant = product.getVariant(item.variant);
+        if (product.variants.length > 0 && (!variant || !variant.isActive)) {
             res.status(400);
-            throw new Error(`Insufficient stock for product ${product.name}`);
+            throw new Error(`Please select a valid variant for product ${product.name}`);
         }
 
+        const variantId = variant ? variant._id : null;
+
         return {
             product: product._id,
+            variant: variantId,
+            sku: variant ? variant.sku : undefined,
+            variantOptions: variant ? variant.options : undefined,
             name: product.name,
-            price: product.price,
+            price: CurrencyService.priceFor(product, variantId, req.currency),
             quantity: item.quantity,
-            image: product.image
+            image: (variant && variant.image) || product.image
         };
     }));
 
-    // Create order
+    // Tax, shipping and total are in the order currency; the total is
+    // charged, so it is always computed from the server-side line prices
+    const itemsPrice = enrichedOrderItems.reduce((total, item) => total + item.price * item.quantity, 0);
+    const totalPrice = CurrencyService.round(itemsPrice + taxPrice + shippingPrice, req.currency.decimals);
+
     const order = new Order({
         user: req.user._id,
         orderItems: enrichedOrderItems,
-        shippingAddress,
+        currency: req.currency.currency,
+        baseCurrency: CurrencyService.baseCurrency,
+        exchangeRate: req.currency.rate,
+        shippingAddress: orderShippingAddress,
+        billingAddress: orderBillingAddress,
         paymentMethod,
         taxPrice,
         shippingPrice,
         totalPrice
     });
 
-    // Create payment intent with Stripe
-    const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(totalPrice * 100), // Convert to cents
-        currency: 'usd',
-        payment_method_types: ['card'],
-        metadata: { 
-            orderId: order._id.toString(),
-            userId: req.user._id.toString()
-        }
-    });
+    // Hold the stock until the order is paid, taking over the reservations
+    // made when checkout started; they are released if payment setup or saving fails
+    const cart = await Cart.findOne({ user: req.user._id }).select('_id');
+    let reservedUntil;
+    try {
+        reservedUntil = await StockReservationService.holdForOrder(order, cart ? cart._id : null);
+    } catch (error) {
+        res.status(error.statusCode || 400);
+        throw error;
+    }
 
-    // Add payment intent to order
-    order.paymentResult = {
-        id: paymentIntent.id,
-        status: paymentIntent.status
-    };
+    let paymentIntent;
+    let createdOrder;
+    try {
+        // Create payment intent with Stripe
+        paymentIntent = await stripe.paymentIntents.create({
+            amount: CurrencyService.toMinorUnits(totalPrice, req.currency),
+            currency: order.currency.toLowerCase(),
+            payment_method_types: ['card'],
+            metadata: { 
+                orderId: order._id.toString(),
+                userId: req.user._id.toString()
+            }
+        });
+
+        // Add payment intent to order
+        order.paymentResult = {
+            id: paymentIntent.id,
+            status: paymentIntent.status
+        };
 
-    // Save order
-    const createdOrder = await order.save();
+        // Save order
+        createdOrder = await order.save();
+    } catch (error) {
+        await StockReservationService.releaseFor({ order: order._id });
+        throw error;
+    }
 
     // Create support ticket for order tracking
     const ticket = new Ticket({
@@ -89,7 +178,8 @@ const addOrderItems = asyncHandler(async (req, res) => {
 
     res.status(201).json({
         order: createdOrder,
-        clientSecret: paymentIntent.client_secret
+        clientSecret: paymentIntent.client_secret,
+        reservedUntil
     });
 });
 
@@ -105,8 +195,9 @@ const getOrderById = asyncHandler(async (req, res) => {
         throw new Error('Order not found');
     }
 
-    // Check order ownership or admin access
-    if (order.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check order ownership or staff access
+    if (order.user._id.toString() !== req.user._id.toString() && 
+        !hasPermission(req.user.role, PERMISSIONS.ORDERS_READ_ALL)) {
         res.status(403);
         throw new Error('Not authorized to view this order');
     }
@@ -162,27 +253,34 @@ const updateOrderToPaid = asyncHandler(async (req, res) => {
         throw new Error('Order not found');
     }
 
+    if (order.isPaid) {
+        res.status(400);
+        throw new Error('Order is already paid');
+    }
+
+    if (order.status === 'Cancelled') {
+        res.status(400);
+        throw new Error('Order was cancelled');
+    }
+
     // Verify payment with Stripe
     const paymentIntent = await stripe.paymentIntents.retrieve(
         order.paymentResult.id
     );
 
-    if (paymentIntent.status === 'succeeded') {
-        order.isPaid = true;
-        order.paidAt = Date.now();
-        order.paymentResult = {
-            id: paymentIntent.id,
-            status: paymentIntent.status,
-            update_time: paymentIntent.created,
-            email_address: paymentIntent.charges.data[0]?.billing_details?.email
-        };
-
-        const updatedOrder = await order.save();
-        res.json(updatedOrder);
-    } else {
+    if (paymentIntent.status !== 'succeeded') {
         res.status(400);
         throw new Error('Payment not successful');
     }
+
+    // The reserved stock becomes a sale now the payment went through
+    try {
+        const updatedOrder = await StockReservationService.completePayment(order, paymentIntent, req.user._id);
+        res.json(updatedOrder);
+    } catch (error) {
+        res.status(error.statusCode || 500);
+        throw error;
+    }
 });
 
 // @desc    Update order to delivered
@@ -228,12 +326,9 @@ const cancelOrder = asyncHandler(async (req, res) => {
         });
     }
 
-    // Restore product stock
-    for (const item of order.orderItems) {
-        await Product.findByIdAndUpdate(item.product, {
-            $inc: { countInStock: item.quantity }
-        });
-    }
+    // Free the stock an unpaid order holds, and restock what a paid one took
+    await StockReservationService.releaseFor({ order: order._id });
+    await InventoryService.recordCancellation(order, req.user._id);
 
     order.status = 'Cancelled';
     order.isDelivered = false;
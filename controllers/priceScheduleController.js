@@ -0,0 +1,123 @@
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/Product');
+const PriceHistory = require('../models/PriceHistory');
+const PricingService = require('../services/pricingService');
+
+const findProduct = async (req, res) => {
+    const product = await Product.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    return product;
+};
+
+// @desc    Get a product's price schedules and the sale running now
+// @route   GET /api/products/:id/price-schedules
+// @access  Private/Catalog
+const getPriceSchedules = asyncHandler(async (req, res) => {
+    const product = await findProduct(req, res);
+
+    res.json({
+        price: product.price,
+        salePrice: product.salePrice,
+        saleEndsAt: product.saleEndsAt,
+        nextPriceChangeAt: product.nextPriceChangeAt,
+        schedules: [...product.priceSchedules].sort((a, b) => a.startsAt - b.startsAt)
+    });
+});
+
+// @desc    Schedule a sale price for a product or one of its variants
+// @route   POST /api/products/:id/price-schedules
+// @access  Private/Catalog
+const createPriceSchedule = asyncHandler(async (req, res) => {
+    const { label, variant = null, salePrice = null, percentOff = null, startsAt, endsAt } = req.body;
+
+    const product = await findProduct(req, res);
+
+    if (variant && !product.getVariant(variant)) {
+        res.status(404);
+        throw new Error('Variant not found');
+    }
+
+    const before = PricingService.snapshot(product);
+
+    product.priceSchedules.push({
+        label,
+        variant,
+        salePrice,
+        percentOff,
+        startsAt,
+        endsAt,
+        createdBy: req.user._id
+    });
+
+    const updatedProduct = await product.save();
+
+    // A sale that starts right away changes the price now
+    await PricingService.recordChanges(updatedProduct, before, {
+        reason: 'Price schedule added',
+        actor: req.user._id
+    });
+
+    res.status(201).json(updatedProduct.priceSchedules[updatedProduct.priceSchedules.length - 1]);
+});
+
+// @desc    Remove a price schedule, ending its sale if it is running
+// @route   DELETE /api/products/:id/price-schedules/:scheduleId
+// @access  Private/Catalog
+const deletePriceSchedule = asyncHandler(async (req, res) => {
+    const product = await findProduct(req, res);
+
+    const schedule = product.priceSchedules.id(req.params.scheduleId);
+    if (!schedule) {
+        res.status(404);
+        throw new Error('Price schedule not found');
+    }
+
+    const before = PricingService.snapshot(product);
+
+    schedule.deleteOne();
+    const updatedProduct = await product.save();
+
+    await PricingService.recordChanges(updatedProduct, before, {
+        reason: 'Price schedule removed',
+        actor: req.user._id
+    });
+
+    res.json({ message: 'Price schedule removed' });
+});
+
+// @desc    Get the price history of a product
+// @route   GET /api/products/:id/price-history?variant=
+// @access  Private/Catalog
+const getPriceHistory = asyncHandler(async (req, res) => {
+    const filter = { product: req.params.id };
+
+    if (req.query.variant) {
+        filter.variant = req.query.variant;
+    }
+
+    const result = await PriceHistory.paginate(filter, {
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 50, 200),
+        sort: { createdAt: -1, _id: -1 },
+        populate: { path: 'actor', select: 'username' }
+    });
+
+    res.json({
+        history: result.docs,
+        totalResults: result.totalDocs,
+        currentPage: result.page,
+        totalPages: result.totalPages
+    });
+});
+
+module.exports = {
+    getPriceSchedules,
+    createPriceSchedule,
+    deletePriceSchedule,
+    getPriceHistory
+};
@@ -1,55 +1,187 @@
 const asyncHandler = require('express-async-handler');
 const Product = require('../models/Product');
+const ProductSearchService = require('../services/productSearchService');
+const SearchSuggestionService = require('../services/searchSuggestionService');
+const ProductImageService = require('../services/productImageService');
+const ProductLifecycleService = require('../services/productLifecycleService');
+const InventoryService = require('../services/inventoryService');
+const PricingService = require('../services/pricingService');
+const CurrencyService = require('../services/currencyService');
+const ProductAttributeService = require('../services/productAttributeService');
+const { MAX_PRODUCT_IMAGES } = require('../middleware/uploadMiddleware');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Variant fields an admin may edit; stock goes through the inventory ledger,
+// and reserved and the sale fields are maintained by the server
+const EDITABLE_VARIANT_FIELDS = ['sku', 'options', 'price', 'currencyPrices', 'image', 'isActive'];
+
+const pickVariantFields = (variant) => Object.fromEntries(
+    EDITABLE_VARIANT_FIELDS
+        .filter(field => variant[field] !== undefined)
+        .map(field => [field, variant[field]])
+);
+
+// New variants also take their opening stock
+const newVariantFields = (variant) => ({
+    ...pickVariantFields(variant),
+    ...(variant.stock !== undefined ? { stock: variant.stock } : {})
+});
+
+// Write variant edits one variant at a time instead of replacing the array,
+// so reserved counts changed by checkouts since the product was read are kept
+const writeVariantChanges = async (product, { removedIds, editedIds }) => {
+    const plain = (variant) => variant.toObject({ flattenMaps: true, virtuals: false });
+
+    if (removedIds.length > 0) {
+        await Product.updateOne({ _id: product._id }, { $pull: { variants: { _id: { $in: removedIds } } } });
+    }
+
+    for (const variantId of editedIds) {
+        const variant = plain(product.variants.id(variantId));
+        const update = { $set: {}, $unset: {} };
+        EDITABLE_VARIANT_FIELDS.forEach(field => {
+            if (variant[field] === undefined) {
+                update.$unset[`variants.$.${field}`] = '';
+            } else {
+                update.$set[`variants.$.${field}`] = variant[field];
+            }
+        });
+        await Product.updateOne({ _id: product._id, 'variants._id': variantId }, update);
+    }
+
+    const added = product.variants.filter(variant => variant.isNew).map(plain);
+    if (added.length > 0) {
+        await Product.updateOne({ _id: product._id }, { $push: { variants: { $each: added } } });
+    }
+
+    // The save that follows must not write the array again
+    product.modifiedPaths()
+        .filter(path => path === 'variants' || path.startsWith('variants.'))
+        .forEach(path => product.unmarkModified(path));
+};
+
+// Filters shared by the storefront and admin product lists; price bounds
+// are in the given currency and matched against base catalog prices
+const buildProductQuery = async ({ search, category, minPrice, maxPrice }, ctx = CurrencyService.getBaseContext()) => {
+    const query = {};
+    
+    if (search) {
+        const searchRegex = new RegExp(escapeRegex(String(search)), 'i');
+        query.$or = [
+            { name: searchRegex },
+            { description: searchRegex }
+        ];
+    }
+    
+    if (category) {
+        query.category = await ProductSearchService.buildCategoryFilter(category);
+    }
+    
+    // Filter on what customers pay, sale prices included
+    if (minPrice || maxPrice) {
+        query.effectivePrice = {};
+        if (minPrice) query.effectivePrice.$gte = CurrencyService.toBase(parseFloat(minPrice), ctx);
+        if (maxPrice) query.effectivePrice.$lte = CurrencyService.toBase(parseFloat(maxPrice), ctx);
+    }
 
-// @desc    Get all products
-// @route   GET /api/products
+    return query;
+};
+
+// Run a product list query with page/limit pagination
+const listProducts = async (query, { page = 1, limit = 10 }) => {
+    const skip = (page - 1) * limit;
+
+    const products = await Product.find(query)
+        .populate('category', 'name slug')
+        .skip(skip)
+        .limit(Number(limit));
+
+    const total = await Product.countDocuments(query);
+
+    return {
+        products,
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalProducts: total
+    };
+};
+
+// @desc    Get all active products, optionally filtered by attributes
+// @route   GET /api/products?attr=ram>=16&attr=color=red
 // @access  Public
 const getProducts = async (req, res) => {
     try {
-        const { 
-            search, 
-            category, 
-            minPrice, 
-            maxPrice, 
-            page = 1, 
-            limit = 10 
-        } = req.query;
-
-        // Build query object
-        let query = {};
-        
-        if (search) {
-            query.$or = [
-                { name: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
-            ];
-        }
-        
-        if (category) {
-            query.category = category;
-        }
+        const baseQuery = {
+            ...await buildProductQuery(req.query, req.currency),
+            ...Product.visibleFilter()
+        };
+
+        const definitions = await ProductAttributeService.getDefinitionsInScope(req.query.category);
+        const attributeFilters = req.query.attr
+            ? ProductAttributeService.parseFilters(req.query.attr, definitions)
+            : {};
+        const conditions = Object.values(attributeFilters);
+        const query = conditions.length > 0 ? { ...baseQuery, $and: conditions } : baseQuery;
+
+        const [result, attributeFacets] = await Promise.all([
+            listProducts(query, req.query),
+            ProductAttributeService.getFacets(baseQuery, attributeFilters, definitions)
+        ]);
+
+        res.json({
+            ...result,
+            products: CurrencyService.presentProducts(result.products, req.currency),
+            currency: req.currency.currency,
+            facets: { attributes: attributeFacets }
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ 
+            message: 'Error fetching products', 
+            error: error.message 
+        });
+    }
+};
+
+// @desc    Get an active product by ID
+// @route   GET /api/products/:id
+// @access  Public
+const getProductById = async (req, res) => {
+    try {
+        const product = await Product.findOne({ _id: req.params.id, ...Product.visibleFilter() })
+            .populate('category', 'name slug path');
         
-        if (minPrice || maxPrice) {
-            query.price = {};
-            if (minPrice) query.price.$gte = parseFloat(minPrice);
-            if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+        if (product) {
+            res.json(CurrencyService.presentProduct(product, req.currency));
+        } else {
+            res.status(404).json({ message: 'Product not found' });
         }
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Error fetching product', 
+            error: error.message 
+        });
+    }
+};
 
-        // Pagination
-        const skip = (page - 1) * limit;
+// @desc    Get products in any status, optionally including deleted ones
+// @route   GET /api/admin/products?status=&deleted=include|only
+// @access  Private/Catalog
+const getAdminProducts = async (req, res) => {
+    try {
+        const { status, deleted } = req.query;
+        const query = await buildProductQuery(req.query);
 
-        const products = await Product.find(query)
-            .skip(skip)
-            .limit(Number(limit));
+        if (status) {
+            query.status = status;
+        }
 
-        const total = await Product.countDocuments(query);
+        if (deleted === 'only') {
+            query.deletedAt = { $ne: null };
+        } else if (deleted !== 'include') {
+            query.deletedAt = null;
+        }
 
-        res.json({
-            products,
-            currentPage: page,
-            totalPages: Math.ceil(total / limit),
-            totalProducts: total
-        });
+        res.json(await listProducts(query, req.query));
     } catch (error) {
         res.status(500).json({ 
             message: 'Error fetching products', 
@@ -58,12 +190,14 @@ const getProducts = async (req, res) => {
     }
 };
 
-// @desc    Get product by ID
-// @route   GET /api/products/:id
-// @access  Public
-const getProductById = async (req, res) => {
+// @desc    Get any product by ID, including drafts and deleted products
+// @route   GET /api/admin/products/:id
+// @access  Private/Catalog
+const getAdminProductById = async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id);
+        const product = await Product.findById(req.params.id)
+            .populate('category', 'name slug path')
+            .populate('deletedBy', 'username');
         
         if (product) {
             res.json(product);
@@ -78,32 +212,74 @@ const getProductById = async (req, res) => {
     }
 };
 
-// @desc    Create a product
+// @desc    Create a product, optionally with uploaded images
 // @route   POST /api/products
 // @access  Private/Admin
 const createProduct = async (req, res) => {
+    let uploadedImages = [];
+
     try {
         const { 
+            sku,
             name, 
             description, 
             price, 
+            currencyPrices,
             category, 
+            attributes,
             stock, 
-            imageUrl 
+            lowStockThreshold,
+            imageUrl,
+            imageAlts = [],
+            options,
+            variants,
+            status,
+            publishAt,
+            unpublishAt 
         } = req.body;
 
+        // New products start as drafts unless a status is given
         const product = new Product({
+            sku: sku || undefined,
             name,
             description,
             price,
+            currencyPrices: currencyPrices || undefined,
             category,
+            attributes: await ProductAttributeService.valuesForCategory(category, attributes),
             stock,
-            imageUrl: imageUrl || ''
+            lowStockThreshold,
+            imageUrl: imageUrl || '',
+            options: options || [],
+            variants: (variants || []).map(newVariantFields),
+            status,
+            publishAt,
+            unpublishAt
         });
 
+        // Alt text defaults to the product name
+        uploadedImages = await ProductImageService.processUploads(
+            product._id,
+            req.files,
+            (req.files || []).map((file, index) => imageAlts[index] || name)
+        );
+        product.images = uploadedImages;
+
         const createdProduct = await product.save();
+
+        await InventoryService.recordOpeningBalance(createdProduct, { actor: req.user._id });
+        await PricingService.recordChanges(createdProduct, new Map(), {
+            reason: 'Product created',
+            actor: req.user._id
+        });
+
+        SearchSuggestionService.indexProduct(createdProduct)
+            .catch(indexError => console.error('Error indexing product suggestion:', indexError));
+
         res.status(201).json(createdProduct);
     } catch (error) {
+        await ProductImageService.removeImages(uploadedImages).catch(() => {});
+
         res.status(400).json({ 
             message: 'Error creating product', 
             error: error.message 
@@ -111,36 +287,204 @@ const createProduct = async (req, res) => {
     }
 };
 
-// @desc    Update a product
+// @desc    Update a product, its image order and alt text, or add images
 // @route   PUT /api/products/:id
 // @access  Private/Admin
 const updateProduct = async (req, res) => {
+    let uploadedImages = [];
+
     try {
         const { 
+            sku,
             name, 
             description, 
             price, 
+            currencyPrices,
             category, 
+            attributes,
             stock, 
-            imageUrl 
+            lowStockThreshold,
+            imageUrl,
+            imageAlts = [],
+            imageOrder,
+            options,
+            variants 
         } = req.body;
 
-        const product = await Product.findById(req.params.id);
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: null });
 
         if (product) {
+            const previousPrices = PricingService.snapshot(product);
+
+            product.sku = sku || product.sku;
             product.name = name || product.name;
             product.description = description || product.description;
             product.price = price || product.price;
+            const categoryChanged = category && String(category) !== product.category.toString();
             product.category = category || product.category;
-            product.stock = stock || product.stock;
             product.imageUrl = imageUrl || product.imageUrl;
 
-            const updatedProduct = await product.save();
+            // Given attributes replace the product's; after a move to another
+            // category, values it does not define are dropped
+            if (attributes !== undefined) {
+                product.attributes = await ProductAttributeService.valuesForCategory(product.category, attributes);
+            } else if (categoryChanged) {
+                product.attributes = await ProductAttributeService.valuesForCategory(product.category, product.attributes, {
+                    requireAll: false,
+                    dropUnknown: true
+                });
+            }
+
+            if (lowStockThreshold !== undefined) {
+                product.lowStockThreshold = lowStockThreshold;
+            }
+
+            // Null clears the overrides, so every currency is converted again
+            if (currencyPrices !== undefined) {
+                product.currencyPrices = currencyPrices || undefined;
+            }
+
+            if (options) {
+                product.options = options;
+            }
+
+            // Stock is only changed through the inventory ledger, after the save
+            const wasSimple = product.variants.length === 0;
+            const previousStock = product.stock;
+            const stockChanges = [];
+            let removedVariants = [];
+
+            const keepsVariants = variants ? variants.length > 0 : product.variants.length > 0;
+            if (stock !== undefined && !keepsVariants) {
+                stockChanges.push({ variantId: null, stock });
+            }
+
+            // Keep existing variant IDs so carts and orders still resolve them.
+            // Kept variants stay in place and new ones are appended, matching
+            // the order writeVariantChanges leaves them in.
+            const editedIds = [];
+            if (variants) {
+                const keptIds = variants.filter(variant => variant._id).map(variant => String(variant._id));
+                removedVariants = product.variants.filter(variant => !keptIds.includes(variant._id.toString()));
+                removedVariants.forEach(variant => product.variants.pull(variant._id));
+
+                variants.forEach(variant => {
+                    const existing = variant._id && product.variants.id(variant._id);
+                    if (!existing) {
+                        product.variants.push(newVariantFields(variant));
+                        return;
+                    }
+
+                    if (variant.stock !== undefined) {
+                        stockChanges.push({ variantId: existing._id, stock: variant.stock });
+                    }
+                    existing.set(pickVariantFields(variant));
+                    editedIds.push(existing._id);
+                });
+            }
+
+            // Stock of removed variants is written off, so a product left
+            // without variants starts again from zero
+            if (variants && variants.length === 0 && removedVariants.length > 0) {
+                product.stock = 0;
+            }
+
+            // imageOrder lists the images to keep, in display order; the rest are removed
+            let removedImages = [];
+            if (imageOrder) {
+                const keptImages = imageOrder
+                    .map(entry => {
+                        const image = product.images.id(entry._id);
+                        if (image && entry.alt !== undefined) image.alt = entry.alt;
+                        return image;
+                    })
+                    .filter(Boolean);
+
+                const keptIds = keptImages.map(image => image._id.toString());
+                removedImages = product.images.filter(image => !keptIds.includes(image._id.toString()));
+                product.images = keptImages;
+            }
+
+            const files = req.files || [];
+            if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+                return res.status(400).json({ 
+                    message: `A product can have at most ${MAX_PRODUCT_IMAGES} images` 
+                });
+            }
+
+            uploadedImages = await ProductImageService.processUploads(
+                product._id,
+                files,
+                files.map((file, index) => imageAlts[index] || product.name)
+            );
+            product.images.push(...uploadedImages);
+
+            // Lines whose stock leaves the ledger: removed variants, or the
+            // product's own stock once it is split into variants
+            const closedLines = removedVariants.map(variant => ({
+                variant: variant._id,
+                sku: variant.sku,
+                stock: variant.stock
+            }));
+            if (wasSimple && product.variants.length > 0) {
+                closedLines.push({ variant: null, sku: product.sku, stock: previousStock });
+            }
+
+            const newVariantIds = product.variants
+                .filter(variant => variant.isNew)
+                .map(variant => variant._id);
+
+            if (variants) {
+                await product.validate();
+                await writeVariantChanges(product, {
+                    removedIds: removedVariants.map(variant => variant._id),
+                    editedIds
+                });
+            }
+
+            let updatedProduct = await product.save();
+
+            await PricingService.recordChanges(updatedProduct, previousPrices, {
+                reason: 'Product edit',
+                actor: req.user._id
+            });
+
+            await InventoryService.recordOpeningBalance(updatedProduct, {
+                actor: req.user._id,
+                variantIds: newVariantIds
+            });
+            await InventoryService.recordWriteOff(updatedProduct, closedLines, {
+                actor: req.user._id,
+                reason: 'Stock line removed'
+            });
+
+            for (const change of stockChanges) {
+                await InventoryService.setStock({
+                    productId: updatedProduct._id,
+                    variantId: change.variantId,
+                    stock: change.stock,
+                    reason: 'Product edit',
+                    actor: req.user._id
+                });
+            }
+
+            if (stockChanges.length > 0) {
+                updatedProduct = await Product.findById(updatedProduct._id);
+            }
+
+            ProductImageService.removeImages(removedImages)
+                .catch(removeError => console.error('Error removing product images:', removeError));
+
+            SearchSuggestionService.indexProduct(updatedProduct)
+                .catch(indexError => console.error('Error indexing product suggestion:', indexError));
+
             res.json(updatedProduct);
         } else {
             res.status(404).json({ message: 'Product not found' });
         }
     } catch (error) {
+        await ProductImageService.removeImages(uploadedImages).catch(() => {});
+
         res.status(400).json({ 
             message: 'Error updating product', 
             error: error.message 
@@ -148,15 +492,15 @@ const updateProduct = async (req, res) => {
     }
 };
 
-// @desc    Delete a product
+// @desc    Soft-delete a product; orders and reviews keep referencing it
 // @route   DELETE /api/products/:id
 // @access  Private/Admin
 const deleteProduct = async (req, res) => {
     try {
-        const product = await Product.findById(req.params.id);
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: null });
 
         if (product) {
-            await product.deleteOne();
+            await ProductLifecycleService.softDelete(product, req.user._id);
             res.json({ message: 'Product removed' });
         } else {
             res.status(404).json({ message: 'Product not found' });
@@ -169,55 +513,58 @@ const deleteProduct = async (req, res) => {
     }
 };
 
-// @desc    Add a review to a product
-// @route   POST /api/products/:id/reviews
-// @access  Private
-const createProductReview = async (req, res) => {
+// @desc    Restore a soft-deleted product as a draft
+// @route   POST /api/products/:id/restore
+// @access  Private/Admin
+const restoreProduct = async (req, res) => {
     try {
-        const { rating, comment } = req.body;
-
-        const product = await Product.findById(req.params.id);
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
 
         if (product) {
-            const alreadyReviewed = product.reviews.find(
-                r => r.user.toString() === req.user._id.toString()
-            );
-
-            if (alreadyReviewed) {
-                return res.status(400).json({ 
-                    message: 'Product already reviewed' 
-                });
-            }
-
-            const review = {
-                user: req.user._id,
-                rating: Number(rating),
-                comment
-            };
+            const restoredProduct = await ProductLifecycleService.restore(product);
+            res.json(restoredProduct);
+        } else {
+            res.status(404).json({ message: 'Deleted product not found' });
+        }
+    } catch (error) {
+        res.status(500).json({ 
+            message: 'Error restoring product', 
+            error: error.message 
+        });
+    }
+};
 
-            product.reviews.push(review);
-            product.numReviews = product.reviews.length;
-            product.rating = product.reviews.reduce((acc, item) => item.rating + acc, 0) 
-                / product.reviews.length;
+// @desc    Publish, unpublish or archive a product, or schedule it
+// @route   PATCH /api/products/:id/status
+// @access  Private/Admin
+const updateProductStatus = async (req, res) => {
+    try {
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: null });
 
-            await product.save();
-            res.status(201).json({ message: 'Review added' });
+        if (product) {
+            const { status, publishAt, unpublishAt } = req.body;
+            const updatedProduct = await ProductLifecycleService.setStatus(product, {
+                status,
+                publishAt,
+                unpublishAt
+            });
+            res.json(updatedProduct);
         } else {
             res.status(404).json({ message: 'Product not found' });
         }
     } catch (error) {
         res.status(400).json({ 
-            message: 'Error adding review', 
+            message: 'Error updating product status', 
             error: error.message 
         });
     }
 };
 
-// @desc    Search products
+// @desc    Search products ranked by relevance
 // @route   GET /api/products/search
 // @access  Public
 const searchProducts = asyncHandler(async (req, res) => {
-    const { query } = req.query;
+    const query = ProductSearchService.sanitizeQuery(req.query.query);
 
     if (!query) {
         return res.status(400).json({ 
@@ -225,83 +572,98 @@ const searchProducts = asyncHandler(async (req, res) => {
         });
     }
 
-    const searchRegex = new RegExp(query, 'i');
-    const products = await Product.find({
-        $or: [
-            { name: searchRegex },
-            { description: searchRegex },
-            { category: searchRegex }
-        ]
-    })
-    .limit(10)
-    .select('name price image category');
+    const result = await ProductSearchService.search({
+        query,
+        limit: 10
+    });
+
+    SearchSuggestionService.recordQuery(query, result.totalResults, req.user ? req.user._id : req.ip)
+        .catch(recordError => console.error('Error recording search query:', recordError));
 
     res.json({
-        products,
-        totalResults: products.length
+        products: result.products.map(product => CurrencyService.presentResult(product, req.currency)),
+        totalResults: result.totalResults,
+        currency: req.currency.currency
     });
 });
 
-// @desc    Advanced search with filters
-// @route   GET /api/products/advanced-search
+// @desc    Search with filters, sorting and facet counts
+// @route   GET /api/products/advanced-search?attr=ram>=16&attr=color=red
 // @access  Public
 const advancedSearchProducts = asyncHandler(async (req, res) => {
     const { 
-        query = '', 
-        category = '', 
-        minPrice = 0, 
-        maxPrice = 1000, 
+        query, 
+        category, 
+        minPrice, 
+        maxPrice, 
+        minRating,
+        inStock,
+        attr,
+        sort,
         page = 1, 
         limit = 12 
     } = req.query;
 
-    const searchConditions = {};
-
-    // Text search
-    if (query) {
-        const searchRegex = new RegExp(query, 'i');
-        searchConditions.$or = [
-            { name: searchRegex },
-            { description: searchRegex }
-        ];
+    let result;
+    try {
+        result = await ProductSearchService.search({
+            query,
+            category,
+            minPrice,
+            maxPrice,
+            minRating,
+            inStock,
+            attr,
+            sort,
+            page,
+            limit,
+            currency: req.currency
+        });
+    } catch (error) {
+        // Malformed or unknown attribute filters
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        throw error;
     }
 
-    // Category filter
-    if (category) {
-        searchConditions.category = category;
+    if (query) {
+        SearchSuggestionService.recordQuery(query, result.totalResults, req.user ? req.user._id : req.ip)
+            .catch(recordError => console.error('Error recording search query:', recordError));
     }
 
-    // Price range filter
-    searchConditions.price = { 
-        $gte: parseFloat(minPrice), 
-        $lte: parseFloat(maxPrice) 
-    };
+    res.json({
+        ...result,
+        products: result.products.map(product => CurrencyService.presentResult(product, req.currency)),
+        currency: req.currency.currency
+    });
+});
 
-    // Pagination
-    const options = {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sort: { createdAt: -1 },
-        select: 'name price image category rating numReviews'
-    };
+// @desc    Suggest products, categories and popular searches as the user types
+// @route   GET /api/products/autocomplete
+// @access  Public
+const getAutocompleteSuggestions = asyncHandler(async (req, res) => {
+    const { q = '', limit } = req.query;
 
-    const result = await Product.paginate(searchConditions, options);
+    const suggestions = await SearchSuggestionService.autocomplete(q, { limit });
 
     res.json({
-        products: result.docs,
-        totalResults: result.totalDocs,
-        currentPage: result.page,
-        totalPages: result.totalPages
+        query: q,
+        ...suggestions
     });
 });
 
 module.exports = {
     getProducts,
     getProductById,
+    getAdminProducts,
+    getAdminProductById,
     createProduct,
     updateProduct,
     deleteProduct,
-    createProductReview,
+    restoreProduct,
+    updateProductStatus,
     searchProducts,
-    advancedSearchProducts
+    advancedSearchProducts,
+    getAutocompleteSuggestions
 };
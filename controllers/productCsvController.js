@@ -0,0 +1,90 @@
+const asyncHandler = require('express-async-handler');
+const ProductImportJob = require('../models/ProductImportJob');
+const ProductCsvService = require('../services/productCsvService');
+
+const findImportJob = async (req, res, select) => {
+    const job = await ProductImportJob.findById(req.params.id).select(select);
+
+    if (!job) {
+        res.status(404);
+        throw new Error('Import job not found');
+    }
+
+    return job;
+};
+
+// @desc    Start a CSV product import (add dryRun=true to only validate)
+// @route   POST /api/admin/products/import
+// @access  Private/Catalog
+const startProductImport = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        res.status(400);
+        throw new Error('A CSV file is required');
+    }
+
+    const dryRun = [req.body.dryRun, req.query.dryRun].includes('true');
+
+    const job = await ProductImportJob.create({
+        createdBy: req.user._id,
+        fileName: req.file.originalname,
+        dryRun
+    });
+
+    ProductCsvService.startImport(job, req.file.buffer);
+
+    res.status(202).json({
+        message: dryRun ? 'Dry run started' : 'Import started',
+        job
+    });
+});
+
+// @desc    List recent import jobs
+// @route   GET /api/admin/products/import
+// @access  Private/Catalog
+const getProductImports = asyncHandler(async (req, res) => {
+    const jobs = await ProductImportJob.find()
+        .select('-rowErrors')
+        .populate('createdBy', 'username')
+        .sort({ createdAt: -1 })
+        .limit(20);
+
+    res.json(jobs);
+});
+
+// @desc    Get the status and errors of an import job
+// @route   GET /api/admin/products/import/:id
+// @access  Private/Catalog
+const getProductImport = asyncHandler(async (req, res) => {
+    const job = await findImportJob(req, res);
+    res.json(job);
+});
+
+// @desc    Download the per-row error report of an import job
+// @route   GET /api/admin/products/import/:id/errors
+// @access  Private/Catalog
+const downloadImportErrors = asyncHandler(async (req, res) => {
+    const job = await findImportJob(req, res, 'rowErrors status');
+
+    res.attachment(`product-import-${job._id}-errors.csv`);
+    res.type('text/csv');
+    res.send(ProductCsvService.buildErrorReport(job));
+});
+
+// @desc    Export the filtered catalog as CSV
+// @route   GET /api/admin/products/export
+// @access  Private/Catalog
+const exportProducts = asyncHandler(async (req, res) => {
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`products-${date}.csv`);
+    res.type('text/csv');
+    await ProductCsvService.exportProducts(req.query, res);
+});
+
+module.exports = {
+    startProductImport,
+    getProductImports,
+    getProductImport,
+    downloadImportErrors,
+    exportProducts
+};
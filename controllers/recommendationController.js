@@ -0,0 +1,55 @@
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const RecommendationService = require('../services/recommendationService');
+const CurrencyService = require('../services/currencyService');
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+const getLimit = (req) => Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+// @desc    Get products frequently bought together with a product, and related ones
+// @route   GET /api/products/:id/related
+// @access  Public
+const getRelatedProducts = asyncHandler(async (req, res) => {
+    const product = await Product.exists({ _id: req.params.id, ...Product.visibleFilter() });
+
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    const { frequentlyBoughtTogether, related, fallback } = 
+        await RecommendationService.getRelated(product._id, getLimit(req));
+
+    res.json({
+        frequentlyBoughtTogether: CurrencyService.presentProducts(frequentlyBoughtTogether, req.currency),
+        related: CurrencyService.presentProducts(related, req.currency),
+        fallback,
+        currency: req.currency.currency
+    });
+});
+
+// @desc    Get recommendations for the products in your cart
+// @route   GET /api/cart/recommendations
+// @access  Private
+const getCartRecommendations = asyncHandler(async (req, res) => {
+    const cart = await Cart.findOne({ user: req.user._id });
+    const productIds = cart
+        ? cart.items.filter(item => item.product).map(item => item.product._id)
+        : [];
+
+    const { products, fallback } = await RecommendationService.getForCart(productIds, getLimit(req));
+
+    res.json({
+        products: CurrencyService.presentProducts(products, req.currency),
+        fallback,
+        currency: req.currency.currency
+    });
+});
+
+module.exports = {
+    getRelatedProducts,
+    getCartRecommendations
+};
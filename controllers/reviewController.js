@@ -0,0 +1,272 @@
+const asyncHandler = require('express-async-handler');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const ReviewService = require('../services/reviewService');
+const { PERMISSIONS, hasPermission } = require('../config/roles');
+
+const REVIEW_SORTS = {
+    helpful: { helpfulCount: -1, createdAt: -1 },
+    newest: { createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 }
+};
+
+// Load a review and make sure it belongs to the product in the URL
+const findProductReview = async (req, res) => {
+    const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+
+    if (!review) {
+        res.status(404);
+        throw new Error('Review not found');
+    }
+
+    return review;
+};
+
+// @desc    Get approved reviews of a product with its rating summary
+// @route   GET /api/products/:id/reviews
+// @access  Public
+const getProductReviews = asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id)
+        .select('averageRating numReviews ratingHistogram');
+
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    const { rating, verified, sort = 'helpful' } = req.query;
+    const filter = { product: product._id, status: 'approved' };
+
+    if (rating) {
+        filter.rating = parseInt(rating);
+    }
+
+    if (verified === 'true') {
+        filter.verifiedPurchase = true;
+    }
+
+    const result = await Review.paginate(filter, {
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 10, 50),
+        sort: REVIEW_SORTS[sort] || REVIEW_SORTS.helpful,
+        select: '-moderatedBy -rejectionReason',
+        populate: { path: 'user', select: 'username' }
+    });
+
+    res.json({
+        reviews: result.docs,
+        totalResults: result.totalDocs,
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        summary: {
+            averageRating: product.averageRating,
+            numReviews: product.numReviews,
+            ratingHistogram: product.ratingHistogram
+        }
+    });
+});
+
+// @desc    Submit a review for moderation
+// @route   POST /api/products/:id/reviews
+// @access  Private
+const createProductReview = asyncHandler(async (req, res) => {
+    const { rating, title, comment } = req.body;
+
+    const product = await Product.findOne({ _id: req.params.id, ...Product.visibleFilter() }).select('_id');
+
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    const alreadyReviewed = await Review.exists({ product: product._id, user: req.user._id });
+    if (alreadyReviewed) {
+        res.status(400);
+        throw new Error('Product already reviewed');
+    }
+
+    const review = await Review.create({
+        product: product._id,
+        user: req.user._id,
+        rating,
+        title,
+        comment,
+        verifiedPurchase: await ReviewService.isVerifiedPurchase(req.user._id, product._id)
+    });
+
+    res.status(201).json({
+        message: 'Review submitted for moderation',
+        review
+    });
+});
+
+// @desc    Edit your own review; it goes back to moderation
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private
+const updateProductReview = asyncHandler(async (req, res) => {
+    const review = await findProductReview(req, res);
+
+    if (!review.user.equals(req.user._id)) {
+        res.status(403);
+        throw new Error('You can only edit your own review');
+    }
+
+    const wasApproved = review.status === 'approved';
+
+    ['rating', 'title', 'comment'].forEach(field => {
+        if (req.body[field] !== undefined) review[field] = req.body[field];
+    });
+
+    review.status = 'pending';
+    review.editedAt = new Date();
+    review.moderatedBy = undefined;
+    review.moderatedAt = undefined;
+    review.rejectionReason = undefined;
+    review.verifiedPurchase = await ReviewService.isVerifiedPurchase(req.user._id, review.product);
+
+    const updatedReview = await review.save();
+
+    if (wasApproved) {
+        await ReviewService.updateProductRating(review.product);
+    }
+
+    res.json({
+        message: 'Review updated and submitted for moderation',
+        review: updatedReview
+    });
+});
+
+// @desc    Delete your own review, or any review as a moderator
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private
+const deleteProductReview = asyncHandler(async (req, res) => {
+    const review = await findProductReview(req, res);
+
+    if (!review.user.equals(req.user._id) &&
+        !hasPermission(req.user.role, PERMISSIONS.REVIEWS_MODERATE)) {
+        res.status(403);
+        throw new Error('Not authorized to delete this review');
+    }
+
+    await review.deleteOne();
+
+    if (review.status === 'approved') {
+        await ReviewService.updateProductRating(review.product);
+    }
+
+    res.json({ message: 'Review removed' });
+});
+
+// @desc    Vote a review helpful or unhelpful
+// @route   POST /api/products/:id/reviews/:reviewId/vote
+// @access  Private
+const voteProductReview = asyncHandler(async (req, res) => {
+    const review = await findProductReview(req, res);
+
+    if (review.status !== 'approved') {
+        res.status(400);
+        throw new Error('Only published reviews can be voted on');
+    }
+
+    if (review.user.equals(req.user._id)) {
+        res.status(400);
+        throw new Error('You cannot vote on your own review');
+    }
+
+    const updatedReview = await ReviewService.vote(review._id, req.user._id, req.body.helpful);
+
+    res.json({
+        helpfulCount: updatedReview.helpfulCount,
+        unhelpfulCount: updatedReview.unhelpfulCount
+    });
+});
+
+// @desc    Withdraw your vote on a review
+// @route   DELETE /api/products/:id/reviews/:reviewId/vote
+// @access  Private
+const removeProductReviewVote = asyncHandler(async (req, res) => {
+    const review = await findProductReview(req, res);
+
+    const updatedReview = await ReviewService.removeVote(review._id, req.user._id);
+
+    res.json({
+        helpfulCount: updatedReview.helpfulCount,
+        unhelpfulCount: updatedReview.unhelpfulCount
+    });
+});
+
+// @desc    Get the review moderation queue
+// @route   GET /api/admin/reviews
+// @access  Private/Moderator
+const getReviewQueue = asyncHandler(async (req, res) => {
+    const { status = 'pending', product } = req.query;
+    const filter = {};
+
+    if (status !== 'all') {
+        filter.status = status;
+    }
+
+    if (product) {
+        filter.product = product;
+    }
+
+    const result = await Review.paginate(filter, {
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 20, 100),
+        // Oldest pending reviews first so nothing waits forever
+        sort: status === 'pending' ? { createdAt: 1 } : { createdAt: -1 },
+        populate: [
+            { path: 'user', select: 'username email' },
+            { path: 'product', select: 'name' },
+            { path: 'moderatedBy', select: 'username' }
+        ]
+    });
+
+    res.json({
+        reviews: result.docs,
+        totalResults: result.totalDocs,
+        currentPage: result.page,
+        totalPages: result.totalPages
+    });
+});
+
+// @desc    Approve or reject a review
+// @route   PATCH /api/admin/reviews/:id
+// @access  Private/Moderator
+const moderateReview = asyncHandler(async (req, res) => {
+    const { status, reason } = req.body;
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+        res.status(404);
+        throw new Error('Review not found');
+    }
+
+    const affectsRating = review.status === 'approved' || status === 'approved';
+
+    review.status = status;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.rejectionReason = status === 'rejected' ? reason : undefined;
+
+    const moderatedReview = await review.save();
+
+    if (affectsRating) {
+        await ReviewService.updateProductRating(review.product);
+    }
+
+    res.json(moderatedReview);
+});
+
+module.exports = {
+    getProductReviews,
+    createProductReview,
+    updateProductReview,
+    deleteProductReview,
+    voteProductReview,
+    removeProductReviewVote,
+    getReviewQueue,
+    moderateReview
+};
@@ -0,0 +1,74 @@
+const asyncHandler = require('express-async-handler');
+const Product = require('../models/Product');
+const StockSubscription = require('../models/StockSubscription');
+
+// @desc    Get your back-in-stock subscriptions
+// @route   GET /api/products/stock-subscriptions
+// @access  Private
+const getMyStockSubscriptions = asyncHandler(async (req, res) => {
+    const subscriptions = await StockSubscription.find({ user: req.user._id })
+        .sort({ createdAt: -1 })
+        .populate('product', 'name images imageUrl stock reserved variants');
+
+    res.json(subscriptions);
+});
+
+// @desc    Ask to be notified when a sold-out product or variant is back
+// @route   POST /api/products/:id/stock-subscription
+// @access  Private
+const subscribeToStock = asyncHandler(async (req, res) => {
+    const variantId = req.body.variant || null;
+
+    const product = await Product.findOne({ _id: req.params.id, ...Product.visibleFilter() });
+
+    if (!product) {
+        res.status(404);
+        throw new Error('Product not found');
+    }
+
+    if (variantId && !product.getVariant(variantId)) {
+        res.status(404);
+        throw new Error('Variant not found');
+    }
+
+    if (product.getAvailableStock(variantId) > 0) {
+        res.status(400);
+        throw new Error('Product is in stock');
+    }
+
+    // Subscribing again re-arms a subscription that already fired
+    const subscription = await StockSubscription.findOneAndUpdate(
+        { user: req.user._id, product: product._id, variant: variantId },
+        { notifiedAt: null },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+        message: 'You will be notified when this product is back in stock',
+        subscription
+    });
+});
+
+// @desc    Stop waiting for a product to come back
+// @route   DELETE /api/products/:id/stock-subscription?variant=
+// @access  Private
+const unsubscribeFromStock = asyncHandler(async (req, res) => {
+    const result = await StockSubscription.deleteOne({
+        user: req.user._id,
+        product: req.params.id,
+        variant: req.query.variant || null
+    });
+
+    if (result.deletedCount === 0) {
+        res.status(404);
+        throw new Error('Subscription not found');
+    }
+
+    res.json({ message: 'Subscription removed' });
+});
+
+module.exports = {
+    getMyStockSubscriptions,
+    subscribeToStock,
+    unsubscribeFromStock
+};
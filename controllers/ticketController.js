@@ -3,6 +3,7 @@ const User = require('../models/User');
 const Order = require('../models/Order');
 const mongoose = require('mongoose');
 const NotificationService = require('../services/notificationService');
+const { ROLES, PERMISSIONS, hasPermission } = require('../config/roles');
 
 // @desc    Create a new ticket
 // @route   POST /api/tickets
@@ -63,8 +64,9 @@ const getTicketById = async (req, res) => {
             return res.status(404).json({ message: 'Ticket not found' });
         }
 
-        // Ensure user can only access their own ticket or admin can access all
-        if (ticket.user._id.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+        // Ensure user can only access their own ticket or staff can access all
+        if (ticket.user._id.toString() !== req.user._id.toString() && 
+            !hasPermission(req.user.role, PERMISSIONS.TICKETS_READ_ALL)) {
             return res.status(403).json({ message: 'Not authorized to view this ticket' });
         }
 
@@ -127,8 +129,9 @@ const addTicketMessage = async (req, res) => {
             return res.status(404).json({ message: 'Ticket not found' });
         }
 
-        // Ensure user can only message their own ticket or admin can message
-        if (ticket.user.toString() !== req.user._id.toString() && !req.user.isAdmin) {
+        // Ensure user can only message their own ticket or staff can message
+        if (ticket.user.toString() !== req.user._id.toString() && 
+            !hasPermission(req.user.role, PERMISSIONS.TICKETS_MANAGE)) {
             return res.status(403).json({ message: 'Not authorized to message this ticket' });
         }
 
@@ -177,8 +180,8 @@ const updateTicketStatus = async (req, res) => {
         // Update ticket
         ticket.status = status || ticket.status;
         
-        // Assign staff if provided and user is admin
-        if (assignedStaff && req.user.isAdmin) {
+        // Assign staff if provided and user may assign tickets
+        if (assignedStaff && hasPermission(req.user.role, PERMISSIONS.TICKETS_ASSIGN)) {
             const staffUser = await User.findById(assignedStaff);
             if (!staffUser) {
                 return res.status(404).json({ message: 'Staff member not found' });
@@ -351,8 +354,8 @@ const escalateTicket = async (req, res) => {
             
             // Automatically assign to senior support
             const seniorSupport = await User.findOne({ 
-                role: 'Senior Support', 
-                isActive: true 
+                role: ROLES.SENIOR_SUPPORT,
+                suspendedAt: null
             });
 
             if (seniorSupport) {
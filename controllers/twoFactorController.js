@@ -0,0 +1,170 @@
+const User = require('../models/User');
+const bcrypt = require('bcryptjs');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/users/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const { secret, otpauthUrl, qrCode } = await TwoFactorService.generateSetup(user);
+
+        user.twoFactor.pendingSecret = secret;
+        await user.save({ validateBeforeSave: false });
+
+        res.json({
+            secret,
+            otpauthUrl,
+            qrCode
+        });
+    } catch (error) {
+        res.status(500).json({
+            message: 'Server error starting two-factor setup',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @route   POST /api/users/2fa/confirm
+// @access  Private
+const confirmTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await User.findById(req.user._id)
+            .select('+twoFactor.pendingSecret');
+
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                message: 'No two-factor setup in progress'
+            });
+        }
+
+        if (!await TwoFactorService.verifyCode(user, user.twoFactor.pendingSecret, code)) {
+            return res.status(400).json({
+                message: 'Invalid two-factor code'
+            });
+        }
+
+        const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.recoveryCodes = hashes;
+        user.twoFactor.enabledAt = new Date();
+
+        await user.save({ validateBeforeSave: false });
+
+        // Sessions opened with only a password are no longer good enough
+        await SessionService.revokeAllSessions(user._id, {
+            exceptSessionId: req.authSession._id,
+            reason: 'Two-factor authentication enabled'
+        });
+
+        res.json({
+            message: 'Two-factor authentication enabled',
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        res.status(500).json({
+            message: 'Server error confirming two-factor setup',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/users/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        const user = await User.findById(req.user._id)
+            .select('+twoFactor.secret');
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const passwordMatches = await bcrypt.compare(password, user.password);
+        if (!passwordMatches || !await TwoFactorService.verifyCode(user, user.twoFactor.secret, code)) {
+            return res.status(401).json({
+                message: 'Invalid password or two-factor code'
+            });
+        }
+
+        user.twoFactor.enabled = false;
+        user.twoFactor.secret = undefined;
+        user.twoFactor.recoveryCodes = [];
+        user.twoFactor.enabledAt = undefined;
+
+        await user.save({ validateBeforeSave: false });
+
+        res.json({
+            message: 'Two-factor authentication disabled',
+            twoFactorRequired: TwoFactorService.isRequiredFor(user)
+        });
+    } catch (error) {
+        res.status(500).json({
+            message: 'Server error disabling two-factor authentication',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Replace all recovery codes
+// @route   POST /api/users/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await User.findById(req.user._id)
+            .select('+twoFactor.secret');
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!await TwoFactorService.verifyCode(user, user.twoFactor.secret, code)) {
+            return res.status(401).json({
+                message: 'Invalid two-factor code'
+            });
+        }
+
+        const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+        user.twoFactor.recoveryCodes = hashes;
+
+        await user.save({ validateBeforeSave: false });
+
+        res.json({ recoveryCodes: codes });
+    } catch (error) {
+        res.status(500).json({
+            message: 'Server error regenerating recovery codes',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
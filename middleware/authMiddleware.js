@@ -1,10 +1,59 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const ApiKeyService = require('../services/apiKeyService');
+const { ROLES, hasPermission } = require('../config/roles');
+
+// Mark a route as callable with an API key holding the given scope.
+// Must run before protect; routes without it refuse API keys.
+const allowApiKey = (scope) => (req, res, next) => {
+    req.apiKeyScope = scope;
+    next();
+};
+
+// Authenticate a request made with an API key
+const protectWithApiKey = async (rawKey, req, res, next) => {
+    try {
+        const { apiKey, user } = await ApiKeyService.authenticate(rawKey, req.ip);
+
+        if (!req.apiKeyScope) {
+            return res.status(403).json({ message: 'API keys cannot access this endpoint' });
+        }
+
+        if (!apiKey.scopes.includes(req.apiKeyScope)) {
+            return res.status(403).json({ 
+                message: `API key is missing the ${req.apiKeyScope} scope` 
+            });
+        }
+
+        req.user = user;
+        req.apiKey = apiKey;
+    } catch (error) {
+        console.error(error);
+
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({ message: error.message });
+        }
+        return res.status(401).json({ message: 'Not authorized, invalid API key' });
+    }
+
+    next();
+};
 
 // Middleware to protect routes
 const protect = async (req, res, next) => {
     let token;
 
+    // API keys come in X-API-Key or as a bearer token with the key prefix
+    const bearer = req.headers.authorization && req.headers.authorization.startsWith('Bearer')
+        ? req.headers.authorization.split(' ')[1]
+        : null;
+    const apiKey = req.headers['x-api-key'] || 
+        (ApiKeyService.looksLikeApiKey(bearer) ? bearer : null);
+
+    if (apiKey) {
+        return protectWithApiKey(apiKey, req, res, next);
+    }
+
     // Check if token exists in Authorization header
     if (
         req.headers.authorization && 
@@ -12,19 +61,24 @@ const protect = async (req, res, next) => {
     ) {
         try {
             // Get token from header
-            token = req.headers.authorization.split(' ')[1];
-
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            token = bearer;
 
-            // Get user from the token
-            req.user = await User.findById(decoded.id).select('-password');
+            // Verify token and make sure its session has not been revoked
+            const { user, session } = await SessionService.verifyAccessToken(token);
 
-            next();
+            req.user = user;
+            req.authSession = session;
         } catch (error) {
             console.error(error);
-            res.status(401).json({ message: 'Not authorized, token failed' });
+
+            // Suspended accounts get a specific answer, everything else stays generic
+            if (error.isOperational) {
+                return res.status(error.statusCode).json({ message: error.message });
+            }
+            return res.status(401).json({ message: 'Not authorized, token failed' });
         }
+
+        return next();
     }
 
     if (!token) {
@@ -32,13 +86,74 @@ const protect = async (req, res, next) => {
     }
 };
 
+// Staff accounts without 2FA are refused privileged access by policy;
+// API key requests are exempt since the key is its own credential
+const rejectWithoutTwoFactor = (req, res) => {
+    if (req.apiKey) return false;
+
+    if (TwoFactorService.isRequiredFor(req.user) && !req.user.twoFactor.enabled) {
+        res.status(403).json({ 
+            message: 'Two-factor authentication must be enabled for this account',
+            twoFactorSetupRequired: true
+        });
+        return true;
+    }
+    return false;
+};
+
 // Middleware to check if user is admin
 const admin = (req, res, next) => {
-    if (req.user && req.user.isAdmin) {
+    if (req.user && req.user.role === ROLES.ADMIN) {
+        if (rejectWithoutTwoFactor(req, res)) return;
         next();
     } else {
         res.status(403).json({ message: 'Not authorized as admin' });
     }
 };
 
-module.exports = { protect, admin };
+// Middleware to require every listed permission
+const restrictTo = (...permissions) => (req, res, next) => {
+    const allowed = req.user && permissions.every(permission => 
+        hasPermission(req.user.role, permission)
+    );
+
+    if (!allowed) {
+        return res.status(403).json({ 
+            message: 'You do not have permission to perform this action' 
+        });
+    }
+
+    if (rejectWithoutTwoFactor(req, res)) return;
+
+    next();
+};
+
+// Actions blocked for unverified emails, e.g. EMAIL_VERIFICATION_REQUIRED_FOR=orders,tickets
+const isEmailVerificationRequired = (action) => {
+    const policy = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+        .split(',')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+
+    return policy.includes('all') || policy.includes(action);
+};
+
+// Middleware to enforce the email verification policy for an action
+const requireVerifiedEmail = (action) => (req, res, next) => {
+    if (isEmailVerificationRequired(action) && !req.user.emailVerified) {
+        return res.status(403).json({ 
+            message: 'Please verify your email address before continuing' 
+        });
+    }
+
+    next();
+};
+
+module.exports = { 
+    protect, 
+    allowApiKey,
+    admin, 
+    restrictTo,
+    isEmailVerificationRequired, 
+    requireVerifiedEmail 
+};
@@ -0,0 +1,18 @@
+const CurrencyService = require('../services/currencyService');
+
+// Resolve the currency a client wants prices in, from the "currency" query
+// parameter, the X-Currency header or a "currency" body field, into
+// req.currency. Defaults to the store's base currency.
+const resolveCurrency = async (req, res, next) => {
+    try {
+        const code = req.query.currency || req.get('X-Currency') || (req.body && req.body.currency);
+        req.currency = await CurrencyService.resolve(code);
+        next();
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ message: error.message });
+    }
+};
+
+module.exports = { 
+    resolveCurrency 
+};
@@ -1,6 +1,7 @@
 const winston = require('winston');
 const { createLogger, format, transports } = winston;
 const { combine, timestamp, printf, colorize, errors } = format;
+const redact = require('../utils/redact');
 
 // Custom error classes
 class AppError extends Error {
@@ -60,7 +61,7 @@ const globalErrorHandler = (err, req, res, next) => {
     logger.error(`${err.status.toUpperCase()} - ${err.message}`, {
         method: req.method,
         path: req.path,
-        body: req.body,
+        body: redact(req.body),
         user: req.user ? req.user.id : 'Unauthenticated',
         stack: err.stack
     });
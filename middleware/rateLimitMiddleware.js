@@ -0,0 +1,65 @@
+// Simple fixed-window rate limiter kept in process memory
+const createRateLimiter = ({ 
+    windowMs = 15 * 60 * 1000, 
+    max = 5, 
+    keyGenerator = (req) => req.ip,
+    message = 'Too many requests. Please try again later.'
+} = {}) => {
+    const hits = new Map();
+
+    return (req, res, next) => {
+        const key = keyGenerator(req);
+        const now = Date.now();
+        let entry = hits.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        entry.count += 1;
+
+        // Drop expired windows so the map does not grow without bound
+        if (hits.size > 10000) {
+            for (const [storedKey, storedEntry] of hits) {
+                if (storedEntry.resetAt <= now) hits.delete(storedKey);
+            }
+        }
+
+        if (entry.count > max) {
+            res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+            return res.status(429).json({ message });
+        }
+
+        next();
+    };
+};
+
+// Limit password reset requests per IP
+const passwordResetLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: 'Too many password reset attempts. Please try again later.'
+});
+
+// Limit second-step login attempts per IP
+const twoFactorLimiter = createRateLimiter({
+    windowMs: 5 * 60 * 1000,
+    max: 10,
+    message: 'Too many two-factor attempts. Please try again later.'
+});
+
+// Limit verification email resends per account
+const verificationEmailLimiter = createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    keyGenerator: (req) => req.user._id.toString(),
+    message: 'Too many verification emails requested. Please try again later.'
+});
+
+module.exports = { 
+    createRateLimiter, 
+    passwordResetLimiter, 
+    twoFactorLimiter,
+    verificationEmailLimiter 
+};
@@ -1,12 +1,12 @@
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
+const { PERMISSIONS, hasPermission, getRolesWithPermission } = require('../config/roles');
 
 // Middleware to check ticket ownership and permissions
 exports.checkTicketAccess = async (req, res, next) => {
     try {
         const ticketId = req.params.id;
         const userId = req.user._id;
-        const userRole = req.user.role;
 
         const ticket = await Ticket.findById(ticketId).populate('user');
 
@@ -14,8 +14,8 @@ exports.checkTicketAccess = async (req, res, next) => {
             return res.status(404).json({ message: 'Ticket not found' });
         }
 
-        // Admin can access all tickets
-        if (userRole === 'admin') {
+        // Staff can access all tickets
+        if (hasPermission(req.user.role, PERMISSIONS.TICKETS_READ_ALL)) {
             req.ticket = ticket;
             return next();
         }
@@ -112,9 +112,12 @@ exports.rateLimitTicketOperations = async (req, res, next) => {
 // Middleware to auto-assign tickets
 exports.autoAssignTicket = async (req, res, next) => {
     try {
-        // Find available admin with least assigned tickets
+        // Find available support staff with least assigned tickets
         const availableAdmin = await User.aggregate([
-            { $match: { role: 'admin' } },
+            { $match: { 
+                role: { $in: getRolesWithPermission(PERMISSIONS.TICKETS_MANAGE) },
+                suspendedAt: null
+            } },
             {
                 $lookup: {
                     from: 'tickets',
@@ -0,0 +1,91 @@
+const multer = require('multer');
+
+const MAX_PRODUCT_IMAGES = parseInt(process.env.PRODUCT_IMAGE_MAX_COUNT) || 10;
+const MAX_IMAGE_BYTES = (parseInt(process.env.PRODUCT_IMAGE_MAX_MB) || 5) * 1024 * 1024;
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Files stay in memory; they are resized before anything is written to storage
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_IMAGE_BYTES,
+        files: MAX_PRODUCT_IMAGES
+    },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+});
+
+const MAX_CSV_BYTES = (parseInt(process.env.PRODUCT_IMPORT_MAX_MB) || 5) * 1024 * 1024;
+
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_CSV_BYTES,
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const isCsv = ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype) ||
+            /\.csv$/i.test(file.originalname);
+        if (!isCsv) {
+            return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+        }
+        cb(null, true);
+    }
+});
+
+// Multipart forms send arrays and objects as JSON strings
+const parseJsonFields = (fields) => (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+        return next();
+    }
+
+    for (const field of fields) {
+        if (typeof req.body[field] === 'string' && req.body[field] !== '') {
+            try {
+                req.body[field] = JSON.parse(req.body[field]);
+            } catch (error) {
+                return res.status(400).json({ message: `${field} must be valid JSON` });
+            }
+        }
+    }
+    next();
+};
+
+// Accept up to MAX_PRODUCT_IMAGES files in the "images" field
+const productImageUpload = [
+    (req, res, next) => {
+        imageUpload.array('images', MAX_PRODUCT_IMAGES)(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                const message = error.code === 'LIMIT_UNEXPECTED_FILE'
+                    ? `Images must be one of ${ALLOWED_IMAGE_TYPES.join(', ')} in the "images" field`
+                    : error.message;
+                return res.status(400).json({ message });
+            }
+            next(error);
+        });
+    },
+    parseJsonFields(['attributes', 'options', 'variants', 'currencyPrices', 'imageAlts', 'imageOrder'])
+];
+
+// Accept a single CSV file in the "file" field
+const productCsvUpload = (req, res, next) => {
+    csvUpload.single('file')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const message = error.code === 'LIMIT_UNEXPECTED_FILE'
+                ? 'Upload one CSV file in the "file" field'
+                : error.message;
+            return res.status(400).json({ message });
+        }
+        next(error);
+    });
+};
+
+module.exports = {
+    productImageUpload,
+    productCsvUpload,
+    MAX_PRODUCT_IMAGES
+};
@@ -1,4 +1,5 @@
-const { body, validationResult, param } = require('express-validator');
+const { body, validationResult, param, query } = require('express-validator');
+const { ROLES, API_KEY_SCOPES } = require('../config/roles');
 
 // Middleware to handle validation errors
 const validateRequest = (req, res, next) => {
@@ -38,6 +39,72 @@ const loginValidation = [
         .notEmpty().withMessage('Password is required')
 ];
 
+// Validation rules for the second login step
+const twoFactorLoginValidation = [
+    body('twoFactorToken')
+        .trim()
+        .notEmpty().withMessage('Two-factor token is required'),
+    
+    body('code')
+        .if(body('recoveryCode').not().exists())
+        .trim()
+        .matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+    
+    body('recoveryCode')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Recovery code cannot be empty')
+];
+
+// Validation rules for a TOTP code
+const twoFactorCodeValidation = [
+    body('code')
+        .trim()
+        .matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+];
+
+// Validation rules for disabling 2FA
+const disableTwoFactorValidation = [
+    body('password')
+        .notEmpty().withMessage('Password is required'),
+    
+    ...twoFactorCodeValidation
+];
+
+// Validation rules for refreshing a session
+const refreshTokenValidation = [
+    body('refreshToken')
+        .trim()
+        .notEmpty().withMessage('Refresh token is required')
+];
+
+// Validation rules for requesting a password reset
+const forgotPasswordValidation = [
+    body('email')
+        .trim()
+        .isEmail().withMessage('Please provide a valid email address')
+        .normalizeEmail()
+];
+
+// Validation rules for resetting a password
+const resetPasswordValidation = [
+    body('token')
+        .trim()
+        .notEmpty().withMessage('Reset token is required'),
+    
+    body('password')
+        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/)
+        .withMessage('Password must include uppercase, lowercase, number, and special character')
+];
+
+// Validation rules for verifying an email address
+const verifyEmailValidation = [
+    body('token')
+        .trim()
+        .notEmpty().withMessage('Verification token is required')
+];
+
 // Validation rules for profile update
 const updateProfileValidation = [
     body('username')
@@ -59,8 +126,152 @@ const updateProfileValidation = [
         .withMessage('Password must include uppercase, lowercase, number, and special character')
 ];
 
+// Validation rules for deleting an account
+const deleteAccountValidation = [
+    body('password')
+        .notEmpty().withMessage('Password is required to delete your account')
+];
+
+// Validation rules for saved addresses
+const addressFieldRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        body('label')
+            .optional()
+            .trim()
+            .isLength({ min: 1, max: 30 }).withMessage('Label must be between 1 and 30 characters'),
+        
+        body('fullName')
+            .optional()
+            .trim()
+            .isLength({ max: 100 }).withMessage('Full name cannot exceed 100 characters'),
+        
+        field('street')
+            .trim()
+            .notEmpty().withMessage('Street address is required'),
+        
+        field('city')
+            .trim()
+            .notEmpty().withMessage('City is required'),
+        
+        field('country')
+            .trim()
+            .notEmpty().withMessage('Country is required'),
+        
+        field('postalCode')
+            .trim()
+            .notEmpty().withMessage('Postal code is required'),
+        
+        body('phone')
+            .optional()
+            .trim()
+            .matches(/^[+\d\s()-]{6,20}$/).withMessage('Please provide a valid phone number'),
+        
+        body(['isDefaultShipping', 'isDefaultBilling'])
+            .optional()
+            .isBoolean().withMessage('Default flags must be true or false')
+            .toBoolean()
+    ];
+};
+
+const addressValidation = addressFieldRules(false);
+const updateAddressValidation = addressFieldRules(true);
+
+// Validation rules for admin role changes
+const userRoleValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid user ID'),
+    
+    body('role')
+        .isString().withMessage('Role must be a string')
+        .bail()
+        .isIn(Object.values(ROLES)).withMessage(`Role must be one of: ${Object.values(ROLES).join(', ')}`)
+];
+
+// Validation rules for suspending a user
+const suspendUserValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid user ID'),
+    
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation rules for creating API keys
+const apiKeyValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 3, max: 100 }).withMessage('Key name must be between 3 and 100 characters'),
+    
+    body('scopes')
+        .isArray({ min: 1 }).withMessage('At least one scope is required'),
+    
+    body('scopes.*')
+        .isIn(Object.values(API_KEY_SCOPES)).withMessage(`Scopes must be one of: ${Object.values(API_KEY_SCOPES).join(', ')}`),
+    
+    body('ownerId')
+        .optional()
+        .isMongoId().withMessage('Invalid owner ID'),
+    
+    body('expiresAt')
+        .optional()
+        .isISO8601().withMessage('Expiry must be a valid date')
+        .toDate()
+];
+
+// Lifecycle status and schedule; null clears a scheduled time
+const productLifecycleRules = () => [
+    body('status')
+        .optional()
+        .isIn(['draft', 'active', 'archived']).withMessage('Status must be draft, active or archived'),
+    
+    body('publishAt')
+        .optional({ nullable: true })
+        .isISO8601().withMessage('Publish time must be a valid date')
+        .toDate(),
+    
+    body('unpublishAt')
+        .optional({ nullable: true })
+        .isISO8601().withMessage('Unpublish time must be a valid date')
+        .toDate()
+        .custom((unpublishAt, { req }) => {
+            if (req.body.publishAt && unpublishAt <= new Date(req.body.publishAt)) {
+                throw new Error('Unpublish time must be after the publish time');
+            }
+            return true;
+        })
+];
+
+const productStatusValidation = productLifecycleRules();
+
 // Validation rules for product creation/update
+// Per-currency price overrides: { "EUR": 19.99, "TND": 65.5 }
+const isCurrencyPrices = (value) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Currency prices must be an object keyed by currency code');
+    }
+    Object.entries(value).forEach(([currency, price]) => {
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            throw new Error(`${currency} is not a three-letter ISO 4217 currency code`);
+        }
+        if (typeof price !== 'number' || !(price >= 0)) {
+            throw new Error(`Price in ${currency} must be a positive number`);
+        }
+    });
+    return true;
+};
+
 const productValidation = [
+    ...productLifecycleRules(),
+    
+    body('sku')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 64 }).withMessage('SKU cannot exceed 64 characters'),
+    
     body('name')
         .trim()
         .isLength({ min: 2, max: 100 }).withMessage('Product name must be between 2 and 100 characters'),
@@ -73,59 +284,369 @@ const productValidation = [
         .isFloat({ min: 0 }).withMessage('Price must be a positive number')
         .toFloat(),
     
+    body('currencyPrices')
+        .optional({ values: 'null' })
+        .custom(isCurrencyPrices),
+    
     body('category')
-        .trim()
-        .notEmpty().withMessage('Category is required'),
+        .isMongoId().withMessage('Category must be a valid category ID'),
+    
+    // Values are checked against the category's attribute definitions
+    body('attributes')
+        .optional({ values: 'null' })
+        .isObject({ strict: true }).withMessage('Attributes must be an object of attribute values'),
     
     body('stock')
         .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer')
-        .toInt()
+        .toInt(),
+    
+    // Null falls back to the store-wide threshold
+    body('lowStockThreshold')
+        .optional({ nullable: true })
+        .isInt({ min: 0 }).withMessage('Low stock threshold must be a non-negative integer')
+        .toInt(),
+    
+    body('options')
+        .optional()
+        .isArray().withMessage('Options must be an array'),
+    
+    body('options.*.name')
+        .trim()
+        .notEmpty().withMessage('Option name is required'),
+    
+    body('options.*.values')
+        .isArray({ min: 1 }).withMessage('Each option needs at least one value'),
+    
+    body('variants')
+        .optional()
+        .isArray().withMessage('Variants must be an array'),
+    
+    body('variants.*.sku')
+        .trim()
+        .notEmpty().withMessage('Variant SKU is required'),
+    
+    body('variants.*.options')
+        .optional()
+        .isObject().withMessage('Variant options must be an object'),
+    
+    body('variants.*.price')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 }).withMessage('Variant price must be a positive number')
+        .toFloat(),
+    
+    body('variants.*.currencyPrices')
+        .optional({ values: 'null' })
+        .custom(isCurrencyPrices),
+    
+    body('variants.*.stock')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Variant stock must be a non-negative integer')
+        .toInt(),
+    
+    // Held units are maintained by checkout reservations
+    body('variants.*.reserved')
+        .not().exists().withMessage('Variant reserved stock cannot be set directly'),
+    
+    body('imageAlts')
+        .optional()
+        .isArray().withMessage('Image alt texts must be an array'),
+    
+    body('imageAlts.*')
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ max: 200 }).withMessage('Image alt text cannot exceed 200 characters'),
+    
+    body('imageOrder')
+        .optional()
+        .isArray().withMessage('Image order must be an array'),
+    
+    body('imageOrder.*._id')
+        .isMongoId().withMessage('Image order entries need a valid image ID'),
+    
+    body('imageOrder.*.alt')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 }).withMessage('Image alt text cannot exceed 200 characters')
 ];
 
-// Validation rules for order creation
-const orderValidation = [
-    body('products')
-        .isArray({ min: 1 }).withMessage('At least one product is required'),
+// Validation rules for categories
+const categoryFieldRules = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .isLength({ min: 2, max: 60 }).withMessage('Category name must be between 2 and 60 characters'),
     
-    body('products.*.product')
-        .notEmpty().withMessage('Product ID is required'),
+    body('slug')
+        .optional()
+        .trim()
+        .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug can only contain lowercase letters, numbers, and hyphens'),
     
-    body('products.*.quantity')
-        .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    body('parent')
+        .optional({ nullable: true, checkFalsy: true })
+        .isMongoId().withMessage('Parent must be a valid category ID'),
+    
+    body('sortOrder')
+        .optional()
+        .isInt().withMessage('Sort order must be an integer')
         .toInt(),
     
-    body('totalPrice')
-        .isFloat({ min: 0 }).withMessage('Total price must be a positive number')
-        .toFloat(),
+    body('isActive')
+        .optional()
+        .isBoolean().withMessage('isActive must be true or false')
+        .toBoolean(),
+    
+    body('attributes')
+        .optional()
+        .isArray().withMessage('Attributes must be an array'),
     
-    body('shippingAddress.street')
+    body('attributes.*.key')
         .trim()
-        .notEmpty().withMessage('Street address is required'),
+        .toLowerCase()
+        .matches(/^[a-z][a-z0-9_]{0,39}$/).withMessage('Attribute key can only contain lowercase letters, numbers and underscores'),
     
-    body('shippingAddress.city')
+    body('attributes.*.name')
         .trim()
-        .notEmpty().withMessage('City is required'),
+        .isLength({ min: 1, max: 60 }).withMessage('Attribute name must be between 1 and 60 characters'),
+    
+    body('attributes.*.type')
+        .isIn(['enum', 'number', 'boolean']).withMessage('Attribute type must be enum, number or boolean'),
     
-    body('shippingAddress.country')
+    body('attributes.*.values')
+        .optional()
+        .isArray().withMessage('Attribute values must be an array'),
+    
+    body('attributes.*.unit')
+        .optional()
         .trim()
-        .notEmpty().withMessage('Country is required'),
+        .isLength({ max: 20 }).withMessage('Attribute unit cannot exceed 20 characters'),
     
-    body('shippingAddress.postalCode')
+    body(['attributes.*.min', 'attributes.*.max'])
+        .optional({ values: 'null' })
+        .isFloat().withMessage('Attribute bounds must be numbers')
+        .toFloat(),
+    
+    body(['attributes.*.required', 'attributes.*.filterable'])
+        .optional()
+        .isBoolean().withMessage('Attribute flags must be true or false')
+        .toBoolean()
+];
+
+const categoryValidation = categoryFieldRules(false);
+const updateCategoryValidation = categoryFieldRules(true);
+
+// Validation rules for order creation. Addresses may come from the
+// address book instead, so inline ones are only checked when given.
+const orderValidation = [
+    body('orderItems')
+        .isArray({ min: 1 }).withMessage('At least one order item is required'),
+    
+    body('orderItems.*.product')
+        .isMongoId().withMessage('Invalid Product ID'),
+    
+    body('orderItems.*.variant')
+        .optional({ values: 'null' })
+        .isMongoId().withMessage('Invalid Variant ID'),
+    
+    body('orderItems.*.quantity')
+        .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+        .toInt(),
+    
+    body(['taxPrice', 'shippingPrice'])
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Tax and shipping must be non-negative numbers')
+        .toFloat(),
+    
+    body(['shippingAddressId', 'billingAddressId'])
+        .optional()
+        .isMongoId().withMessage('Invalid address ID'),
+    
+    body(['shippingAddress.address', 'shippingAddress.city', 'shippingAddress.postalCode', 'shippingAddress.country'])
+        .if(body('shippingAddress').exists({ values: 'null' }))
         .trim()
-        .notEmpty().withMessage('Postal code is required')
+        .notEmpty().withMessage('Shipping address needs an address, city, postal code and country'),
+    
+    body('paymentMethod')
+        .isIn(['Credit Card', 'PayPal', 'Bank Transfer']).withMessage('Payment method must be Credit Card, PayPal or Bank Transfer')
 ];
 
 // Validation rules for product reviews
 const reviewValidation = [
     body('rating')
-        .isFloat({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5')
-        .toFloat(),
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number of stars between 1 and 5')
+        .toInt(),
+    
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
     
     body('comment')
         .trim()
         .isLength({ min: 3, max: 500 }).withMessage('Comment must be between 3 and 500 characters')
 ];
 
+// Validation rules for editing a review; omitted fields are kept
+const updateReviewValidation = [
+    body('rating')
+        .optional()
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number of stars between 1 and 5')
+        .toInt(),
+    
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+    
+    body('comment')
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 500 }).withMessage('Comment must be between 3 and 500 characters')
+];
+
+// Validation rules for helpful/unhelpful votes
+const reviewVoteValidation = [
+    body('helpful')
+        .isBoolean().withMessage('Helpful must be true or false')
+        .toBoolean()
+];
+
+// Validation rules for review moderation
+const moderateReviewValidation = [
+    body('status')
+        .isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
+    
+    body('reason')
+        .if(body('status').equals('rejected'))
+        .trim()
+        .notEmpty().withMessage('A reason is required when rejecting a review')
+        .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation rules for sale price schedules
+const priceScheduleValidation = [
+    body('label')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Label cannot exceed 100 characters'),
+
+    body('variant')
+        .optional({ values: 'null' })
+        .isMongoId().withMessage('Invalid Variant ID'),
+
+    // Either a fixed sale price or a percentage off, not both
+    body('salePrice')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0 }).withMessage('Sale price must be a positive number')
+        .toFloat(),
+
+    body('percentOff')
+        .optional({ values: 'null' })
+        .isFloat({ min: 1, max: 99 }).withMessage('Percent off must be between 1 and 99')
+        .toFloat()
+        .custom((value, { req }) => req.body.salePrice === undefined || req.body.salePrice === null)
+        .withMessage('Give either a sale price or a percent off, not both'),
+
+    body('salePrice')
+        .custom((value, { req }) => 
+            (value !== undefined && value !== null) || 
+            (req.body.percentOff !== undefined && req.body.percentOff !== null)
+        )
+        .withMessage('A sale price or a percent off is required'),
+
+    body('startsAt')
+        .isISO8601().withMessage('Start time must be a valid date')
+        .toDate(),
+
+    body('endsAt')
+        .isISO8601().withMessage('End time must be a valid date')
+        .toDate()
+        .custom((endsAt, { req }) => {
+            if (endsAt <= new Date(req.body.startsAt)) {
+                throw new Error('End time must be after the start time');
+            }
+            if (endsAt <= new Date()) {
+                throw new Error('End time must be in the future');
+            }
+            return true;
+        })
+];
+
+// Validation rules for back-in-stock subscriptions
+const stockSubscriptionValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid Product ID'),
+    
+    body('variant')
+        .optional({ values: 'null' })
+        .isMongoId().withMessage('Invalid Variant ID')
+];
+
+// Validation rules for removing a back-in-stock subscription
+const stockUnsubscribeValidation = [
+    param('id')
+        .isMongoId().withMessage('Invalid Product ID'),
+    
+    query('variant')
+        .optional({ values: 'falsy' })
+        .isMongoId().withMessage('Invalid Variant ID')
+];
+
+// Validation rules for manual stock movements
+const stockMovementValidation = [
+    body('type')
+        .isIn(['adjustment', 'return', 'restock']).withMessage('Type must be adjustment, return or restock'),
+
+    body('product')
+        .isMongoId().withMessage('Invalid Product ID'),
+
+    body('variant')
+        .optional({ values: 'null' })
+        .isMongoId().withMessage('Invalid Variant ID'),
+
+    // Adjustments either change stock by a quantity or set it to a counted value
+    body('setTo')
+        .optional()
+        .custom((value, { req }) => req.body.type === 'adjustment')
+        .withMessage('setTo can only be used for adjustments')
+        .isInt({ min: 0 }).withMessage('setTo must be a non-negative integer')
+        .toInt(),
+
+    body('quantity')
+        .if(body('setTo').not().exists())
+        .isInt().withMessage('Quantity must be an integer')
+        .toInt()
+        .custom((value, { req }) => req.body.type === 'adjustment' ? value !== 0 : value > 0)
+        .withMessage('Quantity must be positive, or non-zero for adjustments'),
+
+    body('order')
+        .if(body('type').equals('return'))
+        .notEmpty().withMessage('Order ID is required for returns')
+        .isMongoId().withMessage('Invalid Order ID'),
+
+    body('reason')
+        .trim()
+        .notEmpty().withMessage('A reason is required')
+        .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+// Validation rules for exchange rates set by admins
+const exchangeRateValidation = [
+    param('code')
+        .trim()
+        .toUpperCase()
+        .matches(/^[A-Z]{3}$/).withMessage('Currency must be a three-letter ISO 4217 code'),
+
+    body('rate')
+        .isFloat({ gt: 0 }).withMessage('Rate must be a positive number')
+        .toFloat(),
+
+    body('decimals')
+        .optional({ values: 'null' })
+        .isInt({ min: 0, max: 3 }).withMessage('Decimals must be between 0 and 3')
+        .toInt()
+];
+
 // Validation rules for ticket creation
 const ticketValidation = [
     body('order')
@@ -149,10 +670,34 @@ module.exports = {
     validateRequest,
     registerValidation,
     loginValidation,
+    twoFactorLoginValidation,
+    twoFactorCodeValidation,
+    disableTwoFactorValidation,
+    refreshTokenValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+    verifyEmailValidation,
     updateProfileValidation,
+    deleteAccountValidation,
+    addressValidation,
+    updateAddressValidation,
+    userRoleValidation,
+    suspendUserValidation,
+    apiKeyValidation,
     productValidation,
+    productStatusValidation,
+    categoryValidation,
+    updateCategoryValidation,
     orderValidation,
     reviewValidation,
+    updateReviewValidation,
+    reviewVoteValidation,
+    moderateReviewValidation,
+    priceScheduleValidation,
+    stockSubscriptionValidation,
+    stockUnsubscribeValidation,
+    stockMovementValidation,
+    exchangeRateValidation,
     ticketValidation,
     messageValidation
 };
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/roles');
+
+const ApiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // First characters of the key, shown so admins can tell keys apart
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: [{
+        type: String,
+        enum: Object.values(API_KEY_SCOPES)
+    }],
+    // Account the integration acts as
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+ApiKeySchema.index({ owner: 1, revokedAt: 1 });
+
+ApiKeySchema.methods.isActive = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
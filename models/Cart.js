@@ -12,6 +12,11 @@ const CartSchema = new mongoose.Schema({
             ref: 'Product',
             required: true
         },
+        // Selected variant, for products that have variants
+        variant: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
         quantity: {
             type: Number,
             required: true,
@@ -54,7 +59,7 @@ CartSchema.pre('save', function(next) {
 CartSchema.pre(/^find/, function(next) {
     this.populate({
         path: 'items.product',
-        select: 'name price image countInStock'
+        select: 'name price salePrice currencyPrices images imageUrl stock reserved options variants'
     });
     next();
 });
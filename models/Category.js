@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+const ATTRIBUTE_TYPES = ['enum', 'number', 'boolean'];
+
+// A specification products in the category (and its subcategories) can
+// carry, e.g. RAM as a number in GB or colour as one of a list of values
+const AttributeDefinitionSchema = new mongoose.Schema({
+    // Used in filters, e.g. "ram>=16"
+    key: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_]{0,39}$/, 'Attribute key can only contain lowercase letters, numbers and underscores']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ATTRIBUTE_TYPES,
+        required: true
+    },
+    // Allowed values of an enum attribute, in display order
+    values: [{
+        type: String,
+        trim: true
+    }],
+    // Unit of a number attribute, e.g. "GB" or "in"
+    unit: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    min: {
+        type: Number,
+        default: null
+    },
+    max: {
+        type: Number,
+        default: null
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    // Shown as a facet in product listings
+    filterable: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+const CategorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        trim: true
+    },
+    slug: {
+        type: String,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    // Materialized path of ancestor IDs including this one, e.g. "/<root>/<child>/"
+    path: {
+        type: String,
+        index: true
+    },
+    depth: {
+        type: Number,
+        default: 0
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Own attribute definitions; subcategories inherit them
+    attributes: {
+        type: [AttributeDefinitionSchema],
+        validate: {
+            validator: (attributes) => new Set(attributes.map(attribute => attribute.key)).size === attributes.length,
+            message: 'Attribute keys must be unique within a category'
+        }
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+CategorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+CategorySchema.index({ 'attributes.key': 1 });
+
+// Ancestor IDs from the root down, excluding this category
+CategorySchema.virtual('ancestorIds').get(function() {
+    return (this.path || '').split('/').filter(Boolean).slice(0, -1);
+});
+
+// Enum attributes need values to choose from; only numbers have units and bounds
+CategorySchema.pre('validate', function(next) {
+    const invalid = this.attributes.find(attribute => attribute.type === 'enum'
+        ? attribute.values.length === 0
+        : attribute.values.length > 0);
+    if (invalid) {
+        return next(new Error(invalid.type === 'enum'
+            ? `Attribute ${invalid.key} needs at least one value`
+            : `Only enum attributes have values; ${invalid.key} is a ${invalid.type}`));
+    }
+
+    this.attributes.forEach(attribute => {
+        if (attribute.type !== 'number') {
+            attribute.unit = '';
+            attribute.min = null;
+            attribute.max = null;
+        }
+    });
+    next();
+});
+
+// Slug derived from the name that no other category uses. Names common
+// across branches ("Accessories") get the parent's slug in front, names
+// without Latin letters become "<parent>-category", and a number is added
+// when the slug is still taken.
+CategorySchema.methods.generateSlug = async function() {
+    const isTaken = (slug) => this.constructor.exists({ slug, _id: { $ne: this._id } });
+
+    const base = slugify(this.name);
+    const parent = this.parent ? await this.constructor.findById(this.parent).select('slug') : null;
+    const parentSlug = parent ? parent.slug : '';
+
+    const candidates = [base, parentSlug && base && `${parentSlug}-${base}`].filter(Boolean);
+    for (const candidate of candidates) {
+        if (!await isTaken(candidate)) {
+            return candidate;
+        }
+    }
+
+    const stem = candidates[candidates.length - 1] || (parentSlug ? `${parentSlug}-category` : 'category');
+    if (candidates.length === 0 && !await isTaken(stem)) {
+        return stem;
+    }
+
+    const numbered = await this.constructor
+        .find({ slug: { $regex: `^${stem}-\\d+$` }, _id: { $ne: this._id } })
+        .select('slug');
+    const highest = numbered.reduce((max, category) => Math.max(max, parseInt(category.slug.slice(stem.length + 1))), 1);
+    return `${stem}-${highest + 1}`;
+};
+
+// Derive slug, path and depth; refuse to nest a category inside itself
+CategorySchema.pre('save', async function(next) {
+    if (this.isModified('slug') && this.slug) {
+        // A slug chosen by an admin is used as given, if it is free
+        if (await this.constructor.exists({ slug: this.slug, _id: { $ne: this._id } })) {
+            return next(new Error(`Slug ${this.slug} is already used by another category`));
+        }
+    } else if (!this.slug || this.isModified('name')) {
+        this.slug = await this.generateSlug();
+    }
+
+    if (!this.isNew && !this.isModified('parent')) {
+        return next();
+    }
+
+    this.$locals.previousPath = this.isNew ? null : this.path;
+
+    if (!this.parent) {
+        this.path = `/${this._id}/`;
+        this.depth = 0;
+        return next();
+    }
+
+    const parent = await this.constructor.findById(this.parent);
+    if (!parent) {
+        return next(new Error('Parent category not found'));
+    }
+
+    if (parent.path.includes(`/${this._id}/`)) {
+        return next(new Error('A category cannot be moved under itself or one of its descendants'));
+    }
+
+    this.path = `${parent.path}${this._id}/`;
+    this.depth = parent.depth + 1;
+    next();
+});
+
+// Rewrite descendant paths after a category moves
+CategorySchema.post('save', async function(doc) {
+    const previousPath = doc.$locals.previousPath;
+    if (!previousPath || previousPath === doc.path) {
+        return;
+    }
+
+    const descendants = await doc.constructor.find({
+        path: { $regex: `^${previousPath}` },
+        _id: { $ne: doc._id }
+    });
+
+    if (descendants.length === 0) {
+        return;
+    }
+
+    await doc.constructor.bulkWrite(descendants.map(descendant => {
+        const path = doc.path + descendant.path.slice(previousPath.length);
+        return {
+            updateOne: {
+                filter: { _id: descendant._id },
+                update: { path, depth: path.split('/').filter(Boolean).length - 1 }
+            }
+        };
+    }));
+});
+
+// IDs of a category and everything beneath it
+CategorySchema.statics.getDescendantIds = async function(categoryId) {
+    const category = await this.findById(categoryId).select('path');
+    if (!category) {
+        return [];
+    }
+
+    const categories = await this.find({ path: { $regex: `^${category.path}` } }).select('_id');
+    return categories.map(entry => entry._id);
+};
+
+CategorySchema.statics.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
+
+// Attribute definitions in effect for the last of a list of categories
+// ordered from the root down; a subcategory can redefine an inherited key
+CategorySchema.statics.mergeAttributeDefinitions = function(categories) {
+    const definitions = new Map();
+    categories.forEach(category => {
+        (category.attributes || []).forEach(attribute => {
+            definitions.set(attribute.key, attribute.toObject ? attribute.toObject() : attribute);
+        });
+    });
+    return [...definitions.values()];
+};
+
+// Attribute definitions of a category, its own and inherited
+CategorySchema.statics.getAttributeDefinitions = async function(categoryId) {
+    const category = await this.findById(categoryId).select('path');
+    if (!category) {
+        return [];
+    }
+
+    const lineage = await this.find({ _id: { $in: category.path.split('/').filter(Boolean) } })
+        .select('depth attributes')
+        .sort({ depth: 1 });
+    return this.mergeAttributeDefinitions(lineage);
+};
+
+// Look up a category by ID or slug
+CategorySchema.statics.findByIdOrSlug = function(value) {
+    if (/^[a-f0-9]{24}$/i.test(String(value))) {
+        return this.findById(value);
+    }
+    return this.findOne({ slug: String(value).toLowerCase() });
+};
+
+module.exports = mongoose.model('Category', CategorySchema);
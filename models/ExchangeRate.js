@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// How many units of a currency one unit of the store's base currency buys
+const ExchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a three-letter ISO 4217 code']
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: [0.000001, 'Rate must be positive']
+    },
+    // Digits after the decimal point, e.g. 3 for the Tunisian dinar
+    decimals: {
+        type: Number,
+        min: 0,
+        max: 3,
+        default: 2
+    },
+    source: {
+        type: String,
+        enum: ['admin', 'file'],
+        default: 'admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
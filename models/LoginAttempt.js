@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const LoginAttemptSchema = new mongoose.Schema({
+    // "account:<username>" or "ip:<address>"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+// Forget counters once their window has passed
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
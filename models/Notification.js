@@ -12,6 +12,12 @@ const NotificationSchema = new mongoose.Schema({
         ref: 'Ticket',
         default: null
     },
+    // Set for stock notifications
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        default: null
+    },
     type: {
         type: String,
         enum: [
@@ -20,7 +26,9 @@ const NotificationSchema = new mongoose.Schema({
             'TICKET_ASSIGNED', 
             'TICKET_ESCALATED', 
             'TICKET_CLOSED', 
-            'MESSAGE_RECEIVED'
+            'MESSAGE_RECEIVED',
+            'BACK_IN_STOCK',
+            'LOW_STOCK'
         ],
         required: [true, 'Notification type is required']
     },
@@ -72,6 +80,9 @@ NotificationSchema.pre(/^find/, function(next) {
     }).populate({
         path: 'ticket',
         select: '_id title status'
+    }).populate({
+        path: 'product',
+        select: 'name'
     });
     next();
 });
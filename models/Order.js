@@ -13,6 +13,16 @@ const OrderSchema = new mongoose.Schema({
             ref: 'Product',
             required: true
         },
+        variant: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        sku: String,
+        // Snapshot of the variant's option values at purchase time
+        variantOptions: {
+            type: Map,
+            of: String
+        },
         name: {
             type: String,
             required: true
@@ -26,12 +36,21 @@ const OrderSchema = new mongoose.Schema({
             required: true,
             min: [1, 'Quantity must be at least 1']
         },
+        // Snapshot of the product's primary image; products may have none
         image: {
             type: String,
-            required: true
+            default: ''
         }
     }],
     shippingAddress: {
+        // Saved address this snapshot was copied from, if any
+        sourceAddress: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        label: String,
+        fullName: String,
+        phone: String,
         address: {
             type: String,
             required: true
@@ -49,6 +68,19 @@ const OrderSchema = new mongoose.Schema({
             required: true
         }
     },
+    billingAddress: {
+        sourceAddress: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        label: String,
+        fullName: String,
+        phone: String,
+        address: String,
+        city: String,
+        postalCode: String,
+        country: String
+    },
     paymentMethod: {
         type: String,
         required: true,
@@ -60,6 +92,23 @@ const OrderSchema = new mongoose.Schema({
         update_time: String,
         email_address: String
     },
+    // Prices on the order are in this currency, converted from the base
+    // currency at the exchange rate of the day the order was placed
+    currency: {
+        type: String,
+        uppercase: true,
+        default: 'USD'
+    },
+    baseCurrency: {
+        type: String,
+        uppercase: true,
+        default: 'USD'
+    },
+    // Units of the order currency per unit of the base currency
+    exchangeRate: {
+        type: Number,
+        default: 1
+    },
     taxPrice: {
         type: Number,
         required: true,
@@ -87,6 +136,8 @@ const OrderSchema = new mongoose.Schema({
         default: false
     },
     deliveredAt: Date,
+    // Set when the customer's personal data was erased
+    anonymizedAt: Date,
     status: {
         type: String,
         enum: [
@@ -115,26 +166,6 @@ OrderSchema.virtual('subtotal').get(function() {
     );
 });
 
-// Middleware to validate stock before order creation
-OrderSchema.pre('save', async function(next) {
-    if (this.isNew) {
-        const Product = mongoose.model('Product');
-        for (const item of this.orderItems) {
-            const product = await Product.findById(item.product);
-            if (!product) {
-                return next(new Error(`Product ${item.product} not found`));
-            }
-            if (product.countInStock < item.quantity) {
-                return next(new Error(`Insufficient stock for product ${product.name}`));
-            }
-            // Reduce product stock
-            product.countInStock -= item.quantity;
-            await product.save();
-        }
-    }
-    next();
-});
-
 // Populate references
 OrderSchema.pre(/^find/, function(next) {
     this.populate({
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// Append-only record of every price a product or variant was sold at
+const PriceHistorySchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Set for variant prices
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: String,
+    regularPrice: {
+        type: Number,
+        required: true
+    },
+    // Null when no sale was running
+    salePrice: {
+        type: Number,
+        default: null
+    },
+    // What customers paid from this point on
+    effectivePrice: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    // User who changed the price; empty when a schedule switched it
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+PriceHistorySchema.index({ product: 1, variant: 1, createdAt: -1 });
+
+PriceHistorySchema.plugin(mongoosePaginate);
+
+const rejectChange = function(next) {
+    next(new Error('Price history is append-only'));
+};
+
+PriceHistorySchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+PriceHistorySchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+        'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectChange
+);
+
+module.exports = mongoose.model('PriceHistory', PriceHistorySchema);
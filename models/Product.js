@@ -1,6 +1,185 @@
 const mongoose = require('mongoose');
 
+const PRODUCT_STATUSES = ['draft', 'active', 'archived'];
+
+// Whole percent saved by a sale price, 0 when there is no sale
+const percentSaved = (regularPrice, salePrice) => {
+    if (salePrice === null || salePrice === undefined || !regularPrice) {
+        return 0;
+    }
+    return Math.round((regularPrice - salePrice) / regularPrice * 100);
+};
+
+const ProductOptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    values: [{
+        type: String,
+        trim: true
+    }]
+}, { _id: false });
+
+const ProductVariantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Value per option axis, e.g. { Size: 'M', Color: 'Red' }
+    options: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    // Overrides the product price when set
+    price: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Regular prices in other currencies, keyed by ISO code, used
+    // instead of converting the price at the exchange rate
+    currencyPrices: {
+        type: Map,
+        of: Number,
+        default: undefined
+    },
+    // Price of the best running sale, maintained from the price schedules
+    salePrice: {
+        type: Number,
+        default: null
+    },
+    saleEndsAt: {
+        type: Date,
+        default: null
+    },
+    stock: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Units held by checkout reservations, maintained by StockReservationService
+    reserved: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    image: {
+        type: String,
+        default: ''
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+ProductVariantSchema.virtual('availableStock').get(function() {
+    return Math.max(this.stock - (this.reserved || 0), 0);
+});
+
+// Regular price of the variant: its own override or the product price
+ProductVariantSchema.virtual('regularPrice').get(function() {
+    return this.price !== null && this.price !== undefined ? this.price : this.parent().price;
+});
+
+ProductVariantSchema.virtual('effectivePrice').get(function() {
+    return this.salePrice !== null && this.salePrice !== undefined ? this.salePrice : this.regularPrice;
+});
+
+ProductVariantSchema.virtual('compareAtPrice').get(function() {
+    return this.salePrice !== null && this.salePrice !== undefined ? this.regularPrice : null;
+});
+
+ProductVariantSchema.virtual('percentSaved').get(function() {
+    return percentSaved(this.regularPrice, this.salePrice);
+});
+
+// A sale price, either fixed or a percentage off the regular price, that
+// applies between two times. Without a variant it covers the whole product.
+const PriceScheduleSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    salePrice: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    percentOff: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+const ProductImageSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true
+    },
+    mediumUrl: String,
+    thumbnailUrl: String,
+    alt: {
+        type: String,
+        default: ''
+    },
+    // Display order, 0 is the primary image
+    position: {
+        type: Number,
+        default: 0
+    },
+    width: Number,
+    height: Number,
+    // Storage keys of every generated size, used to delete the files
+    storageKeys: [String]
+});
+
+// Value of an attribute defined on the product's category, e.g.
+// { key: 'ram', value: 16 }. Kept as a list so one index covers every
+// attribute; values are checked by ProductAttributeService.
+const ProductAttributeSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    }
+}, { _id: false });
+
 const ProductSchema = new mongoose.Schema({
+    // Identifies the product in CSV imports; variants carry their own SKUs
+    sku: {
+        type: String,
+        trim: true
+    },
     name: {
         type: String,
         required: true
@@ -9,30 +188,322 @@ const ProductSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Regular price; sales are scheduled in priceSchedules
     price: {
         type: Number,
         required: true
     },
+    // Regular prices in other currencies, keyed by ISO code
+    currencyPrices: {
+        type: Map,
+        of: Number,
+        default: undefined
+    },
+    priceSchedules: [PriceScheduleSchema],
+    // Maintained from the price schedules when the product is saved
+    salePrice: {
+        type: Number,
+        default: null
+    },
+    saleEndsAt: {
+        type: Date,
+        default: null
+    },
+    // Sale price if one is running, else the regular price; used to filter
+    // and sort listings
+    effectivePrice: {
+        type: Number,
+        index: true
+    },
+    // When a schedule next starts or ends, picked up by PricingService
+    nextPriceChangeAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
     category: {
-        type: String,
-        required: true
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        required: true,
+        index: true
     },
     stock: {
         type: Number,
         default: 0
     },
+    // Units held by checkout reservations; variants track their own
+    reserved: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Admins are alerted when stock of the product or a variant drops to
+    // this level; null uses the store-wide LOW_STOCK_THRESHOLD
+    lowStockThreshold: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Externally hosted image, used when no images have been uploaded
     imageUrl: {
         type: String,
         default: ''
     },
-    reviews: [{
-        user: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'User'
-        },
-        rating: Number,
-        comment: String
-    }]
-}, { timestamps: true });
+    images: [ProductImageSchema],
+    attributes: [ProductAttributeSchema],
+    options: [ProductOptionSchema],
+    variants: [ProductVariantSchema],
+    // Only active products are shown in the storefront and can be bought
+    status: {
+        type: String,
+        enum: PRODUCT_STATUSES,
+        default: 'draft',
+        index: true
+    },
+    // Scheduled transitions applied by ProductLifecycleService
+    publishAt: {
+        type: Date,
+        default: null
+    },
+    unpublishAt: {
+        type: Date,
+        default: null
+    },
+    publishedAt: Date,
+    // Soft delete keeps order and review references intact
+    deletedAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Aggregates of approved reviews, maintained by ReviewService
+    averageRating: {
+        type: Number,
+        default: 0
+    },
+    numReviews: {
+        type: Number,
+        default: 0
+    },
+    ratingHistogram: {
+        1: { type: Number, default: 0 },
+        2: { type: Number, default: 0 },
+        3: { type: Number, default: 0 },
+        4: { type: Number, default: 0 },
+        5: { type: Number, default: 0 }
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Full-text search index; name matches rank above description matches
+ProductSchema.index(
+    { name: 'text', description: 'text' },
+    { weights: { name: 10, description: 2 }, name: 'ProductTextIndex' }
+);
+
+// SKUs are unique across the whole catalog
+ProductSchema.index({ sku: 1 }, { unique: true, sparse: true });
+ProductSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+
+// Attribute filters match on key and value together
+ProductSchema.index({ 'attributes.key': 1, 'attributes.value': 1 });
+
+// Primary image URL for listings, carts and order lines
+ProductSchema.virtual('image').get(function() {
+    const [primary] = this.images || [];
+    return primary ? (primary.mediumUrl || primary.url) : this.imageUrl;
+});
+
+ProductSchema.statics.STATUSES = PRODUCT_STATUSES;
+
+// Query filter for products the storefront may show
+ProductSchema.statics.visibleFilter = function() {
+    return { status: 'active', deletedAt: null };
+};
+
+ProductSchema.methods.isVisible = function() {
+    return this.status === 'active' && !this.deletedAt;
+};
+
+// Units that can still be reserved: stock minus what checkouts are holding
+ProductSchema.virtual('availableStock').get(function() {
+    // Not computable when the query did not select stock
+    if (this.stock === undefined || !this.variants) {
+        return undefined;
+    }
+    return this.getAvailableStock();
+});
+
+// Find a variant by ID
+ProductSchema.methods.getVariant = function(variantId) {
+    return variantId ? this.variants.id(variantId) : null;
+};
+
+// Effective unit price for the product or one of its variants, sales included
+ProductSchema.methods.getPrice = function(variantId) {
+    const variant = this.getVariant(variantId);
+    if (variant) {
+        return variant.effectivePrice;
+    }
+    return this.salePrice !== null && this.salePrice !== undefined ? this.salePrice : this.price;
+};
+
+// Regular price for the product or one of its variants, ignoring sales
+ProductSchema.methods.getRegularPrice = function(variantId) {
+    const variant = this.getVariant(variantId);
+    return variant ? variant.regularPrice : this.price;
+};
+
+// Regular price overridden for a currency, or null to convert the base
+// price. A variant with its own base price does not inherit the product's
+// overrides, which were set for a different price.
+ProductSchema.methods.getCurrencyPrice = function(variantId, currency) {
+    const variant = this.getVariant(variantId);
+    const override = (line) => line.currencyPrices ? line.currencyPrices.get(currency) : undefined;
+
+    if (variant) {
+        if (override(variant) !== undefined) {
+            return override(variant);
+        }
+        if (variant.price !== null && variant.price !== undefined) {
+            return null;
+        }
+    }
+
+    return override(this) !== undefined ? override(this) : null;
+};
+
+ProductSchema.virtual('compareAtPrice').get(function() {
+    return this.salePrice !== null && this.salePrice !== undefined ? this.price : null;
+});
+
+ProductSchema.virtual('percentSaved').get(function() {
+    return percentSaved(this.price, this.salePrice);
+});
+
+// Set the sale prices running at a given time. Overlapping sales do not
+// stack; the lowest price wins. Also records when the next change is due.
+ProductSchema.methods.applyPriceSchedules = function(at = new Date()) {
+    const running = this.priceSchedules.filter(schedule => schedule.startsAt <= at && schedule.endsAt > at);
+
+    const bestSale = (regularPrice, variantId) => running
+        .filter(schedule => !schedule.variant || (variantId && schedule.variant.equals(variantId)))
+        .map(schedule => ({
+            price: schedule.salePrice !== null && schedule.salePrice !== undefined
+                ? schedule.salePrice
+                : Math.round(regularPrice * (100 - schedule.percentOff)) / 100,
+            endsAt: schedule.endsAt
+        }))
+        .filter(sale => sale.price < regularPrice)
+        .sort((a, b) => a.price - b.price)[0];
+
+    const productSale = bestSale(this.price, null);
+    this.salePrice = productSale ? productSale.price : null;
+    this.saleEndsAt = productSale ? productSale.endsAt : null;
+    this.effectivePrice = productSale ? productSale.price : this.price;
+
+    this.variants.forEach(variant => {
+        const sale = bestSale(variant.regularPrice, variant._id);
+        variant.salePrice = sale ? sale.price : null;
+        variant.saleEndsAt = sale ? sale.endsAt : null;
+    });
+
+    const upcoming = this.priceSchedules
+        .flatMap(schedule => [schedule.startsAt, schedule.endsAt])
+        .filter(time => time > at)
+        .sort((a, b) => a - b);
+    this.nextPriceChangeAt = upcoming[0] || null;
+};
+
+// Units in stock for the product or one of its variants
+ProductSchema.methods.getStock = function(variantId) {
+    const variant = this.getVariant(variantId);
+    return variant ? variant.stock : this.stock;
+};
+
+// Units available for the product or one of its variants; without a
+// variant, a product with variants sums its active ones
+ProductSchema.methods.getAvailableStock = function(variantId) {
+    const variant = this.getVariant(variantId);
+    if (variant) {
+        return variant.availableStock;
+    }
+    if (this.variants.length > 0) {
+        return this.variants
+            .filter(candidate => candidate.isActive)
+            .reduce((total, candidate) => total + candidate.availableStock, 0);
+    }
+    return Math.max(this.stock - (this.reserved || 0), 0);
+};
+
+// Variants must cover every option axis with an allowed value, once per combination
+ProductSchema.pre('validate', function(next) {
+    if (this.variants.length === 0) {
+        return next();
+    }
+
+    const seenCombinations = new Set();
+    const seenSkus = new Set();
+
+    for (const variant of this.variants) {
+        for (const option of this.options) {
+            const value = variant.options.get(option.name);
+            if (!value || !option.values.includes(value)) {
+                return next(new Error(
+                    `Variant ${variant.sku} needs one of [${option.values.join(', ')}] for ${option.name}`
+                ));
+            }
+        }
+
+        const unknownAxis = [...variant.options.keys()]
+            .find(axis => !this.options.some(option => option.name === axis));
+        if (unknownAxis) {
+            return next(new Error(`Variant ${variant.sku} uses unknown option ${unknownAxis}`));
+        }
+
+        const combination = this.options
+            .map(option => `${option.name}=${variant.options.get(option.name)}`)
+            .join('|');
+        if (seenCombinations.has(combination)) {
+            return next(new Error(`Duplicate variant for ${combination}`));
+        }
+        seenCombinations.add(combination);
+
+        if (seenSkus.has(variant.sku)) {
+            return next(new Error(`Duplicate SKU ${variant.sku}`));
+        }
+        seenSkus.add(variant.sku);
+    }
+
+    next();
+});
+
+// Product stock is the sum of its variants when it has any;
+// image positions follow the array order and sale prices the schedules
+ProductSchema.pre('save', function(next) {
+    if (this.isModified('status') && this.status === 'active' && !this.publishedAt) {
+        this.publishedAt = new Date();
+    }
+
+    this.images.forEach((image, index) => {
+        image.position = index;
+    });
+
+    this.applyPriceSchedules();
+
+    if (this.variants.length > 0) {
+        this.stock = this.variants
+            .filter(variant => variant.isActive)
+            .reduce((total, variant) => total + variant.stock, 0);
+    }
+    next();
+});
 
 module.exports = mongoose.model('Product', ProductSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const RowErrorSchema = new mongoose.Schema({
+    // Line number in the CSV file, the header being line 1
+    row: Number,
+    sku: String,
+    field: String,
+    message: String
+}, { _id: false });
+
+const ProductImportJobSchema = new mongoose.Schema({
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    fileName: {
+        type: String,
+        default: ''
+    },
+    // Validate every row without writing anything
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued'
+    },
+    totalRows: {
+        type: Number,
+        default: 0
+    },
+    processedRows: {
+        type: Number,
+        default: 0
+    },
+    created: {
+        type: Number,
+        default: 0
+    },
+    updated: {
+        type: Number,
+        default: 0
+    },
+    failed: {
+        type: Number,
+        default: 0
+    },
+    rowErrors: [RowErrorSchema],
+    // Set when the whole job failed, e.g. the file could not be parsed
+    error: String,
+    startedAt: Date,
+    finishedAt: Date
+}, { timestamps: true });
+
+ProductImportJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProductImportJob', ProductImportJobSchema);
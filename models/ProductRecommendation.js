@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const RecommendedProductSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    score: {
+        type: Number,
+        required: true
+    },
+    // Orders containing both products; only set for co-purchases
+    orders: Number
+}, { _id: false });
+
+// Precomputed recommendations for one product, rebuilt by RecommendationService
+const ProductRecommendationSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+        unique: true
+    },
+    // Products often bought in the same order, best first
+    boughtTogether: [RecommendedProductSchema],
+    // Products close in category and price, best first
+    similar: [RecommendedProductSchema],
+    computedAt: {
+        type: Date,
+        required: true
+    }
+});
+
+module.exports = mongoose.model('ProductRecommendation', ProductRecommendationSchema);
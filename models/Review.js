@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const ReviewVoteSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    helpful: {
+        type: Boolean,
+        required: true
+    }
+}, { _id: false });
+
+const ReviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    title: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    comment: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Only approved reviews are public and count towards the product rating
+    status: {
+        type: String,
+        enum: REVIEW_STATUSES,
+        default: 'pending'
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    moderatedAt: Date,
+    rejectionReason: String,
+    // The reviewer has a delivered order containing the product
+    verifiedPurchase: {
+        type: Boolean,
+        default: false
+    },
+    helpfulCount: {
+        type: Number,
+        default: 0
+    },
+    unhelpfulCount: {
+        type: Number,
+        default: 0
+    },
+    votes: {
+        type: [ReviewVoteSchema],
+        select: false
+    },
+    editedAt: Date
+}, { timestamps: true });
+
+// One review per customer and product
+ReviewSchema.index({ product: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: 1 });
+
+ReviewSchema.plugin(mongoosePaginate);
+
+ReviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model('Review', ReviewSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const SUGGESTION_TYPES = ['product', 'category', 'query'];
+
+const SearchSuggestionSchema = new mongoose.Schema({
+    // "product:<id>", "category:<id>" or "query:<normalized text>"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: SUGGESTION_TYPES,
+        required: true
+    },
+    // Text shown to the shopper
+    text: {
+        type: String,
+        required: true
+    },
+    // Lowercased, accent-free form of text used for matching
+    normalized: {
+        type: String,
+        required: true,
+        index: true
+    },
+    tokens: {
+        type: [String],
+        index: true
+    },
+    // Product or category the suggestion links to
+    ref: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    slug: {
+        type: String,
+        default: null
+    },
+    // Ranking weight; for queries this is the number of searches
+    weight: {
+        type: Number,
+        default: 0
+    },
+    lastSearchedAt: Date,
+    // Hashed IDs of the first distinct searchers of a query
+    searchers: {
+        type: [String],
+        default: undefined
+    }
+}, { timestamps: true });
+
+SearchSuggestionSchema.index({ type: 1, weight: -1 });
+
+SearchSuggestionSchema.statics.TYPES = SUGGESTION_TYPES;
+
+module.exports = mongoose.model('SearchSuggestion', SearchSuggestionSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+const MOVEMENT_TYPES = ['initial', 'sale', 'cancellation', 'adjustment', 'return', 'restock'];
+
+// Append-only ledger of stock changes; product and variant stock are its running totals
+const StockMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Set for products that keep stock per variant
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: String,
+    type: {
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: true
+    },
+    // Signed change in units: negative for sales, positive for restocks
+    quantity: {
+        type: Number,
+        required: true
+    },
+    // Stock of the product or variant right after this movement
+    balanceAfter: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    // User who caused the movement; empty for system movements
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+StockMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+StockMovementSchema.index({ order: 1 });
+StockMovementSchema.index({ type: 1, createdAt: -1 });
+
+StockMovementSchema.plugin(mongoosePaginate);
+
+const rejectChange = function(next) {
+    next(new Error('Stock movements are append-only'));
+};
+
+StockMovementSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectChange(next);
+    }
+    next();
+});
+
+StockMovementSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+        'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    rejectChange
+);
+
+StockMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
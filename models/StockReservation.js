@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Units of a product or variant held for a checkout. A reservation belongs
+// to a cart while the customer checks out and moves to the order once it is
+// placed. It is deleted when released, expired or committed as a sale.
+const StockReservationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart',
+        default: null
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+StockReservationSchema.index({ cart: 1 });
+StockReservationSchema.index({ order: 1 });
+// Not a TTL index: expired reservations must also give their units back,
+// which StockReservationService.releaseExpired does
+StockReservationSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', StockReservationSchema);
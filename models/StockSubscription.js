@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A customer's request to be told when a sold-out product, or one of its
+// variants, is back in stock. It fires once; subscribing again re-arms it.
+const StockSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Null means any variant of the product
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    notifiedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+StockSubscriptionSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+StockSubscriptionSchema.index({ product: 1, notifiedAt: 1 });
+
+module.exports = mongoose.model('StockSubscription', StockSubscriptionSchema);
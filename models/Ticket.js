@@ -59,6 +59,9 @@ const TicketSchema = new mongoose.Schema({
     closedAt: {
         type: Date
     },
+    anonymizedAt: {
+        type: Date
+    },
     paymentDetails: {
         d17: String,
         boustaRIB: String
@@ -1,4 +1,43 @@
 const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const crypto = require('crypto');
+const { ROLES, getPermissions } = require('../config/roles');
+
+const AddressSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true,
+        default: 'Home'
+    },
+    fullName: {
+        type: String,
+        trim: true
+    },
+    street: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    city: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    postalCode: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    country: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    }
+}, { timestamps: true });
 
 const UserSchema = new mongoose.Schema({
     username: {
@@ -15,16 +54,141 @@ const UserSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    isAdmin: {
-        type: Boolean,
-        default: false
+    role: {
+        type: String,
+        enum: Object.values(ROLES),
+        default: ROLES.CUSTOMER
     },
     address: {
         street: String,
         city: String,
         country: String,
         postalCode: String
+    },
+    addresses: [AddressSchema],
+    defaultShippingAddress: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    defaultBillingAddress: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret awaiting confirmation during enrollment
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 hashes of unused recovery codes
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Time step of the last accepted code; older codes cannot be replayed
+        lastUsedStep: {
+            type: Number,
+            default: null,
+            select: false
+        },
+        enabledAt: Date
+    },
+    suspendedAt: {
+        type: Date,
+        default: null
+    },
+    suspensionReason: String,
+    suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set by an admin; login is refused until the password is reset
+    passwordResetRequired: {
+        type: Boolean,
+        default: false
+    },
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
     }
-}, { timestamps: true });
+}, { 
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Kept for clients that still read the old isAdmin flag
+UserSchema.virtual('isAdmin').get(function() {
+    return this.role === ROLES.ADMIN;
+});
+
+UserSchema.virtual('isSuspended').get(function() {
+    return Boolean(this.suspendedAt);
+});
+
+UserSchema.virtual('permissions').get(function() {
+    return getPermissions(this.role);
+});
+
+UserSchema.index({ role: 1, createdAt: -1 });
+
+// Pagination plugin
+UserSchema.plugin(mongoosePaginate);
+
+// Hash a one-time token before it is stored
+const hashToken = (token) => crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+UserSchema.statics.hashToken = hashToken;
+
+// Generate a single-use password reset token, storing only its hash
+UserSchema.methods.createPasswordResetToken = function() {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = hashToken(resetToken);
+
+    const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+    this.passwordResetExpires = Date.now() + ttlMinutes * 60 * 1000;
+
+    return resetToken;
+};
+
+// Generate an email verification token, storing only its hash
+UserSchema.methods.createEmailVerificationToken = function() {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+
+    this.emailVerificationToken = hashToken(verificationToken);
+
+    const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+    this.emailVerificationExpires = Date.now() + ttlHours * 60 * 60 * 1000;
+
+    return verificationToken;
+};
 
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { 
+    getUsers,
+    getUserById,
+    suspendUser,
+    reactivateUser,
+    updateUserRole,
+    forcePasswordReset,
+    unlockUser,
+    createApiKey,
+    getApiKeys,
+    revokeApiKey 
+} = require('../controllers/adminController');
+const {
+    getAdminProducts,
+    getAdminProductById
+} = require('../controllers/productController');
+const {
+    startProductImport,
+    getProductImports,
+    getProductImport,
+    downloadImportErrors,
+    exportProducts
+} = require('../controllers/productCsvController');
+const {
+    getReviewQueue,
+    moderateReview
+} = require('../controllers/reviewController');
+const {
+    getStockMovements,
+    createStockMovement,
+    getReconciliationReport
+} = require('../controllers/inventoryController');
+const {
+    getCurrencies,
+    setExchangeRate,
+    deleteExchangeRate
+} = require('../controllers/currencyController');
+const { 
+    protect, 
+    restrictTo 
+} = require('../middleware/authMiddleware');
+const { 
+    validateRequest,
+    userRoleValidation,
+    suspendUserValidation,
+    apiKeyValidation,
+    moderateReviewValidation,
+    stockMovementValidation,
+    exchangeRateValidation
+} = require('../middleware/validationMiddleware');
+const { productCsvUpload } = require('../middleware/uploadMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+router.use(protect);
+
+// API keys
+router.route('/api-keys')
+    .get(restrictTo(PERMISSIONS.API_KEYS_MANAGE), getApiKeys)
+    .post(
+        restrictTo(PERMISSIONS.API_KEYS_MANAGE), 
+        apiKeyValidation, 
+        validateRequest, 
+        createApiKey
+    );
+router.delete('/api-keys/:id', restrictTo(PERMISSIONS.API_KEYS_MANAGE), revokeApiKey);
+
+// Catalog: all products, CSV import and export
+router.use('/products', restrictTo(PERMISSIONS.PRODUCTS_WRITE));
+
+router.get('/products/export', exportProducts);
+router.route('/products/import')
+    .get(getProductImports)
+    .post(productCsvUpload, startProductImport);
+router.get('/products/import/:id', getProductImport);
+router.get('/products/import/:id/errors', downloadImportErrors);
+router.get('/products', getAdminProducts);
+router.get('/products/:id', getAdminProductById);
+
+// Inventory ledger
+router.use('/inventory', restrictTo(PERMISSIONS.INVENTORY_MANAGE));
+
+router.route('/inventory/movements')
+    .get(getStockMovements)
+    .post(
+        stockMovementValidation, 
+        validateRequest, 
+        createStockMovement
+    );
+router.get('/inventory/reconciliation', getReconciliationReport);
+
+// Currencies and exchange rates
+router.use('/currencies', restrictTo(PERMISSIONS.CURRENCIES_MANAGE));
+
+router.get('/currencies', getCurrencies);
+router.route('/currencies/:code')
+    .put(
+        exchangeRateValidation, 
+        validateRequest, 
+        setExchangeRate
+    )
+    .delete(deleteExchangeRate);
+
+// Review moderation
+router.get('/reviews', restrictTo(PERMISSIONS.REVIEWS_MODERATE), getReviewQueue);
+router.patch('/reviews/:id', 
+    restrictTo(PERMISSIONS.REVIEWS_MODERATE), 
+    moderateReviewValidation, 
+    validateRequest, 
+    moderateReview
+);
+
+// User management
+router.use('/users', restrictTo(PERMISSIONS.USERS_MANAGE));
+
+router.get('/users', getUsers);
+router.get('/users/:id', getUserById);
+router.patch('/users/:id/suspend', 
+    suspendUserValidation, 
+    validateRequest, 
+    suspendUser
+);
+router.patch('/users/:id/reactivate', reactivateUser);
+router.patch('/users/:id/role', 
+    userRoleValidation, 
+    validateRequest, 
+    updateUserRole
+);
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+router.post('/users/:id/unlock', unlockUser);
+
+module.exports = router;
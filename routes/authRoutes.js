@@ -3,9 +3,31 @@ const router = express.Router();
 const { 
     registerUser, 
     loginUser, 
+    verifyTwoFactorLogin,
     getUserProfile, 
-    updateUserProfile 
+    updateUserProfile,
+    exportUserData,
+    deleteUserAccount,
+    refreshSession,
+    logoutUser,
+    logoutAllDevices,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail
 } = require('../controllers/authController');
+const {
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const {
+    getAddresses,
+    addAddress,
+    updateAddress,
+    deleteAddress
+} = require('../controllers/addressController');
 const { 
     protect 
 } = require('../middleware/authMiddleware');
@@ -13,8 +35,23 @@ const {
     validateRequest,
     registerValidation,
     loginValidation,
-    updateProfileValidation
+    twoFactorLoginValidation,
+    twoFactorCodeValidation,
+    disableTwoFactorValidation,
+    refreshTokenValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+    verifyEmailValidation,
+    updateProfileValidation,
+    deleteAccountValidation,
+    addressValidation,
+    updateAddressValidation
 } = require('../middleware/validationMiddleware');
+const { 
+    passwordResetLimiter,
+    twoFactorLimiter,
+    verificationEmailLimiter 
+} = require('../middleware/rateLimitMiddleware');
 
 // Public Routes
 router.post('/register', 
@@ -27,6 +64,34 @@ router.post('/login',
     validateRequest, 
     loginUser
 );
+router.post('/login/2fa', 
+    twoFactorLimiter,
+    twoFactorLoginValidation,
+    validateRequest, 
+    verifyTwoFactorLogin
+);
+router.post('/refresh', 
+    refreshTokenValidation,
+    validateRequest, 
+    refreshSession
+);
+router.post('/forgot-password', 
+    passwordResetLimiter,
+    forgotPasswordValidation,
+    validateRequest, 
+    forgotPassword
+);
+router.post('/reset-password', 
+    passwordResetLimiter,
+    resetPasswordValidation,
+    validateRequest, 
+    resetPassword
+);
+router.post('/verify-email', 
+    verifyEmailValidation,
+    validateRequest, 
+    verifyEmail
+);
 
 // Protected Routes
 router.get('/profile', 
@@ -39,5 +104,70 @@ router.put('/profile',
     validateRequest, 
     updateUserProfile
 );
+router.delete('/profile', 
+    protect,
+    deleteAccountValidation,
+    validateRequest, 
+    deleteUserAccount
+);
+router.get('/profile/export', 
+    protect, 
+    exportUserData
+);
+router.get('/addresses', 
+    protect, 
+    getAddresses
+);
+router.post('/addresses', 
+    protect,
+    addressValidation,
+    validateRequest, 
+    addAddress
+);
+router.put('/addresses/:addressId', 
+    protect,
+    updateAddressValidation,
+    validateRequest, 
+    updateAddress
+);
+router.delete('/addresses/:addressId', 
+    protect, 
+    deleteAddress
+);
+router.post('/verify-email/resend', 
+    protect, 
+    verificationEmailLimiter,
+    resendVerificationEmail
+);
+router.post('/2fa/setup', 
+    protect, 
+    setupTwoFactor
+);
+router.post('/2fa/confirm', 
+    protect, 
+    twoFactorCodeValidation,
+    validateRequest, 
+    confirmTwoFactor
+);
+router.post('/2fa/disable', 
+    protect, 
+    disableTwoFactorValidation,
+    validateRequest, 
+    disableTwoFactor
+);
+router.post('/2fa/recovery-codes', 
+    protect, 
+    twoFactorCodeValidation,
+    validateRequest, 
+    regenerateRecoveryCodes
+);
+router.post('/logout', 
+    protect, 
+    logoutUser
+);
+router.post('/logout-all', 
+    protect, 
+    logoutAllDevices
+);
 
 module.exports = router;
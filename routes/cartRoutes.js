@@ -5,17 +5,25 @@ const {
     getCart, 
     addToCart, 
     removeFromCart, 
-    updateCartItemQuantity 
+    updateCartItemQuantity,
+    startCheckout,
+    cancelCheckout
 } = require('../controllers/cartController');
+const { getCartRecommendations } = require('../controllers/recommendationController');
 const { protect } = require('../middleware/authMiddleware');
+const { resolveCurrency } = require('../middleware/currencyMiddleware');
 
 // Cart Routes
 router.use(protect);  // All routes require authentication
 
 router.post('/sync', syncCart);
-router.get('/', getCart);
+router.get('/', resolveCurrency, getCart);
+router.get('/recommendations', resolveCurrency, getCartRecommendations);
 router.post('/add', addToCart);
 router.delete('/remove/:productId', removeFromCart);
 router.put('/update/:productId', updateCartItemQuantity);
+router.route('/checkout')
+    .post(startCheckout)
+    .delete(cancelCheckout);
 
 module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { 
+    getCategories, 
+    getCategory, 
+    createCategory, 
+    updateCategory, 
+    deleteCategory 
+} = require('../controllers/categoryController');
+const { 
+    protect, 
+    restrictTo 
+} = require('../middleware/authMiddleware');
+const { 
+    validateRequest,
+    categoryValidation,
+    updateCategoryValidation 
+} = require('../middleware/validationMiddleware');
+const { PERMISSIONS } = require('../config/roles');
+
+// Public Routes
+router.get('/', getCategories);
+router.get('/:idOrSlug', getCategory);
+
+// Protected Routes
+router.post('/', 
+    protect, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+    categoryValidation, 
+    validateRequest, 
+    createCategory
+);
+
+router.put('/:id', 
+    protect, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+    updateCategoryValidation, 
+    validateRequest, 
+    updateCategory
+);
+
+router.delete('/:id', 
+    protect, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+    deleteCategory
+);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getCurrencies } = require('../controllers/currencyController');
+
+// Public Routes
+router.get('/', getCurrencies);
+
+module.exports = router;
@@ -9,19 +9,45 @@ const {
     updateOrderToDelivered,
     cancelOrder
 } = require('../controllers/orderController');
-const { protect, admin } = require('../middleware/authMiddleware');
+const { 
+    protect, 
+    allowApiKey, 
+    restrictTo, 
+    requireVerifiedEmail 
+} = require('../middleware/authMiddleware');
+const { resolveCurrency } = require('../middleware/currencyMiddleware');
+const { validateRequest, orderValidation } = require('../middleware/validationMiddleware');
+const { PERMISSIONS, API_KEY_SCOPES } = require('../config/roles');
 
 // Public Routes
-router.route('/').post(protect, addOrderItems);
+router.route('/').post(
+    allowApiKey(API_KEY_SCOPES.ORDERS_WRITE), 
+    protect, 
+    requireVerifiedEmail('orders'), 
+    orderValidation, 
+    validateRequest, 
+    resolveCurrency, 
+    addOrderItems
+);
 
 // User Routes
 router.route('/myorders').get(protect, getMyOrders);
-router.route('/:id').get(protect, getOrderById);
+router.route('/:id').get(allowApiKey(API_KEY_SCOPES.ORDERS_READ), protect, getOrderById);
 router.route('/:id/pay').put(protect, updateOrderToPaid);
 router.route('/:id/cancel').put(protect, cancelOrder);
 
-// Admin Routes
-router.route('/').get(protect, admin, getOrders);
-router.route('/:id/deliver').put(protect, admin, updateOrderToDelivered);
+// Staff Routes
+router.route('/').get(
+    allowApiKey(API_KEY_SCOPES.ORDERS_READ), 
+    protect, 
+    restrictTo(PERMISSIONS.ORDERS_READ_ALL), 
+    getOrders
+);
+router.route('/:id/deliver').put(
+    allowApiKey(API_KEY_SCOPES.ORDERS_WRITE), 
+    protect, 
+    restrictTo(PERMISSIONS.ORDERS_MANAGE), 
+    updateOrderToDelivered
+);
 
 module.exports = router;
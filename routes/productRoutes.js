@@ -6,51 +6,152 @@ const {
     createProduct, 
     updateProduct, 
     deleteProduct,
-    createProductReview,
+    restoreProduct,
+    updateProductStatus,
     searchProducts,
-    advancedSearchProducts 
+    advancedSearchProducts,
+    getAutocompleteSuggestions 
 } = require('../controllers/productController');
+const {
+    getProductReviews,
+    createProductReview,
+    updateProductReview,
+    deleteProductReview,
+    voteProductReview,
+    removeProductReviewVote
+} = require('../controllers/reviewController');
+const {
+    getMyStockSubscriptions,
+    subscribeToStock,
+    unsubscribeFromStock
+} = require('../controllers/stockSubscriptionController');
+const { getRelatedProducts } = require('../controllers/recommendationController');
+const {
+    getPriceSchedules,
+    createPriceSchedule,
+    deletePriceSchedule,
+    getPriceHistory
+} = require('../controllers/priceScheduleController');
 const { 
     protect, 
-    admin 
+    allowApiKey,
+    restrictTo 
 } = require('../middleware/authMiddleware');
+const { productImageUpload } = require('../middleware/uploadMiddleware');
+const { resolveCurrency } = require('../middleware/currencyMiddleware');
+const { PERMISSIONS, API_KEY_SCOPES } = require('../config/roles');
 const { 
     validateRequest,
     productValidation,
-    reviewValidation 
+    productStatusValidation,
+    reviewValidation,
+    updateReviewValidation,
+    reviewVoteValidation,
+    stockSubscriptionValidation,
+    stockUnsubscribeValidation,
+    priceScheduleValidation 
 } = require('../middleware/validationMiddleware');
 
-// Public Routes
-router.get('/', getProducts);
-router.get('/:id', getProductById);
+// Search Routes (registered before /:id so they are not read as an ID)
+router.get('/search', resolveCurrency, searchProducts);
+router.get('/advanced-search', resolveCurrency, advancedSearchProducts);
+router.get('/autocomplete', getAutocompleteSuggestions);
+router.get('/stock-subscriptions', protect, getMyStockSubscriptions);
 
-// Search Routes
-router.get('/search', searchProducts);
-router.get('/advanced-search', advancedSearchProducts);
+// Public Routes
+router.get('/', resolveCurrency, getProducts);
+router.get('/:id', resolveCurrency, getProductById);
+router.get('/:id/related', resolveCurrency, getRelatedProducts);
 
 // Protected Routes
 router.post('/', 
+    allowApiKey(API_KEY_SCOPES.PRODUCTS_WRITE),
     protect, 
-    admin, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+    productImageUpload,
     productValidation, 
     validateRequest, 
     createProduct
 );
 
 router.put('/:id', 
+    allowApiKey(API_KEY_SCOPES.PRODUCTS_WRITE),
     protect, 
-    admin, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+    productImageUpload,
     productValidation, 
     validateRequest, 
     updateProduct
 );
 
 router.delete('/:id', 
+    allowApiKey(API_KEY_SCOPES.PRODUCTS_WRITE),
     protect, 
-    admin, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
     deleteProduct
 );
 
+router.patch('/:id/status', 
+    allowApiKey(API_KEY_SCOPES.PRODUCTS_WRITE),
+    protect, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+    productStatusValidation, 
+    validateRequest, 
+    updateProductStatus
+);
+
+router.post('/:id/restore', 
+    allowApiKey(API_KEY_SCOPES.PRODUCTS_WRITE),
+    protect, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+    restoreProduct
+);
+
+// Sale pricing
+router.route('/:id/price-schedules')
+    .get(
+        protect, 
+        restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+        getPriceSchedules
+    )
+    .post(
+        protect, 
+        restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+        priceScheduleValidation, 
+        validateRequest, 
+        createPriceSchedule
+    );
+
+router.delete('/:id/price-schedules/:scheduleId', 
+    protect, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+    deletePriceSchedule
+);
+
+router.get('/:id/price-history', 
+    protect, 
+    restrictTo(PERMISSIONS.PRODUCTS_WRITE), 
+    getPriceHistory
+);
+
+// Back-in-stock subscriptions
+router.route('/:id/stock-subscription')
+    .post(
+        protect, 
+        stockSubscriptionValidation, 
+        validateRequest, 
+        subscribeToStock
+    )
+    .delete(
+        protect, 
+        stockUnsubscribeValidation, 
+        validateRequest, 
+        unsubscribeFromStock
+    );
+
+// Reviews
+router.get('/:id/reviews', getProductReviews);
+
 router.post('/:id/reviews', 
     protect, 
     reviewValidation, 
@@ -58,4 +159,22 @@ router.post('/:id/reviews',
     createProductReview
 );
 
+router.put('/:id/reviews/:reviewId', 
+    protect, 
+    updateReviewValidation, 
+    validateRequest, 
+    updateProductReview
+);
+
+router.delete('/:id/reviews/:reviewId', protect, deleteProductReview);
+
+router.post('/:id/reviews/:reviewId/vote', 
+    protect, 
+    reviewVoteValidation, 
+    validateRequest, 
+    voteProductReview
+);
+
+router.delete('/:id/reviews/:reviewId/vote', protect, removeProductReviewVote);
+
 module.exports = router;
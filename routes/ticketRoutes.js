@@ -13,8 +13,10 @@ const {
 } = require('../controllers/ticketController');
 const { 
     protect, 
-    admin 
+    restrictTo,
+    requireVerifiedEmail 
 } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/roles');
 const { 
     checkTicketAccess, 
     validateTicketCreation,
@@ -26,6 +28,7 @@ const {
 router.post(
     '/', 
     protect, 
+    requireVerifiedEmail('tickets'),
     validateTicketCreation, 
     autoAssignTicket, 
     createTicket
@@ -34,8 +37,8 @@ router.post(
 // Get user's tickets
 router.get('/my-tickets', protect, getUserTickets);
 
-// Get all tickets (admin only)
-router.get('/', protect, admin, getAllTickets);
+// Get all tickets (staff only)
+router.get('/', protect, restrictTo(PERMISSIONS.TICKETS_READ_ALL), getAllTickets);
 
 // Get ticket by ID
 router.get(
@@ -49,7 +52,7 @@ router.get(
 router.patch(
     '/:id/status', 
     protect, 
-    admin, 
+    restrictTo(PERMISSIONS.TICKETS_MANAGE), 
     updateTicketStatus
 );
 
@@ -63,7 +66,7 @@ router.post(
 );
 
 // Advanced ticket filtering
-router.get('/filter', protect, admin, async (req, res) => {
+router.get('/filter', protect, restrictTo(PERMISSIONS.TICKETS_READ_ALL), async (req, res) => {
     const { 
         status, 
         priority, 
@@ -115,14 +118,14 @@ router.get('/filter', protect, admin, async (req, res) => {
 
 // New ticket filtering
 router.route('/filter')
-    .get(protect, admin, filterTickets);
+    .get(protect, restrictTo(PERMISSIONS.TICKETS_READ_ALL), filterTickets);
 
 // Ticket analytics
 router.route('/analytics')
-    .get(protect, admin, getTicketAnalytics);
+    .get(protect, restrictTo(PERMISSIONS.TICKETS_READ_ALL), getTicketAnalytics);
 
 // Escalate ticket
 router.route('/:id/escalate')
-    .put(protect, admin, escalateTicket);
+    .put(protect, restrictTo(PERMISSIONS.TICKETS_ESCALATE), escalateTicket);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+// Load exchange rates from a JSON file, e.g. one exported from a rates
+// provider. Currencies missing from the file keep their current rate.
+// Usage: npm run rates:load -- path/to/rates.json
+// (or set EXCHANGE_RATES_FILE)
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const CurrencyService = require('../services/currencyService');
+
+dotenv.config();
+
+const loadExchangeRates = async () => {
+    try {
+        const filePath = process.argv[2] || process.env.EXCHANGE_RATES_FILE;
+        if (!filePath) {
+            throw new Error('Pass the rates file as an argument or set EXCHANGE_RATES_FILE');
+        }
+
+        if (!process.env.MONGO_URI) {
+            throw new Error('MONGO_URI environment variable is not set');
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB Connected Successfully');
+
+        const rates = await CurrencyService.loadRatesFromFile(filePath);
+
+        rates.forEach(rate => console.log(`1 ${CurrencyService.baseCurrency} = ${rate.rate} ${rate.currency}`));
+        console.log(`Loaded ${rates.length} exchange rate(s)`);
+    } catch (error) {
+        console.error('❌ Loading exchange rates failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+loadExchangeRates();
@@ -0,0 +1,59 @@
+// One-off migration: turn free-text product categories into Category documents.
+// Names that slugify the same ("Shoes", "shoes") are merged into one category.
+// Usage: npm run migrate:categories
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const slugify = require('../utils/slugify');
+
+dotenv.config();
+
+const migrateCategories = async () => {
+    try {
+        if (!process.env.MONGO_URI) {
+            throw new Error('MONGO_URI environment variable is not set');
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB Connected Successfully');
+
+        // Category is an ObjectId in the schema now, so read the raw strings
+        const names = await Product.collection.distinct('category', { 
+            category: { $type: 'string' } 
+        });
+
+        let created = 0;
+        let migrated = 0;
+
+        for (const name of names) {
+            const slug = slugify(name);
+            if (!slug) {
+                console.warn(`Skipping category "${name}": cannot build a slug`);
+                continue;
+            }
+
+            let category = await Category.findOne({ slug });
+            if (!category) {
+                category = await Category.create({ name: name.trim(), slug });
+                created += 1;
+            }
+
+            const result = await Product.collection.updateMany(
+                { category: name },
+                { $set: { category: category._id } }
+            );
+            migrated += result.modifiedCount;
+        }
+
+        console.log(`Created ${created} categor${created === 1 ? 'y' : 'ies'}`);
+        console.log(`Linked ${migrated} product(s) to categories`);
+    } catch (error) {
+        console.error('❌ Category migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+migrateCategories();
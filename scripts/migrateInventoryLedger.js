@@ -0,0 +1,44 @@
+// One-off migration: open the inventory ledger of products that existed
+// before it, with one opening-balance movement per stock line.
+// Usage: npm run migrate:inventory-ledger
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const InventoryService = require('../services/inventoryService');
+
+dotenv.config();
+
+const migrateInventoryLedger = async () => {
+    try {
+        if (!process.env.MONGO_URI) {
+            throw new Error('MONGO_URI environment variable is not set');
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB Connected Successfully');
+
+        const tracked = new Set(
+            (await StockMovement.distinct('product')).map(id => id.toString())
+        );
+
+        let opened = 0;
+        for await (const product of Product.find().select('sku stock variants').cursor()) {
+            if (tracked.has(product._id.toString())) {
+                continue;
+            }
+
+            await InventoryService.recordOpeningBalance(product, { reason: 'Ledger migration' });
+            opened += 1;
+        }
+
+        console.log(`Opened the ledger of ${opened} product(s)`);
+    } catch (error) {
+        console.error('❌ Inventory ledger migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+migrateInventoryLedger();
@@ -0,0 +1,50 @@
+// One-off migration for sale pricing: products saved before it have no
+// effectivePrice to filter and sort on, and no price history.
+// Usage: npm run migrate:pricing
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const PriceHistory = require('../models/PriceHistory');
+const PricingService = require('../services/pricingService');
+
+dotenv.config();
+
+const migratePricing = async () => {
+    try {
+        if (!process.env.MONGO_URI) {
+            throw new Error('MONGO_URI environment variable is not set');
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB Connected Successfully');
+
+        const result = await Product.collection.updateMany(
+            { effectivePrice: { $exists: false } },
+            [{ $set: { effectivePrice: '$price', salePrice: null, saleEndsAt: null, nextPriceChangeAt: null } }]
+        );
+        console.log(`Set the effective price of ${result.modifiedCount} product(s)`);
+
+        const tracked = new Set(
+            (await PriceHistory.distinct('product')).map(id => id.toString())
+        );
+
+        let opened = 0;
+        for await (const product of Product.find().cursor()) {
+            if (tracked.has(product._id.toString())) {
+                continue;
+            }
+
+            await PricingService.recordChanges(product, new Map(), { reason: 'Opening price' });
+            opened += 1;
+        }
+
+        console.log(`Opened the price history of ${opened} product(s)`);
+    } catch (error) {
+        console.error('❌ Pricing migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+migratePricing();
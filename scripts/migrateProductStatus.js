@@ -0,0 +1,33 @@
+// One-off migration: products created before the draft/publish workflow
+// were all live, so mark them active.
+// Usage: npm run migrate:product-status
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+dotenv.config();
+
+const migrateProductStatus = async () => {
+    try {
+        if (!process.env.MONGO_URI) {
+            throw new Error('MONGO_URI environment variable is not set');
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB Connected Successfully');
+
+        const result = await Product.collection.updateMany(
+            { status: { $exists: false } },
+            { $set: { status: 'active', deletedAt: null, publishAt: null, unpublishAt: null, publishedAt: new Date() } }
+        );
+
+        console.log(`Marked ${result.modifiedCount} product(s) as active`);
+    } catch (error) {
+        console.error('❌ Product status migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+migrateProductStatus();
@@ -0,0 +1,66 @@
+// One-off migration: move reviews embedded in products into the Review
+// collection. Existing reviews were already public, so they are approved.
+// Usage: npm run migrate:reviews
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const ReviewService = require('../services/reviewService');
+
+dotenv.config();
+
+const migrateReviews = async () => {
+    try {
+        if (!process.env.MONGO_URI) {
+            throw new Error('MONGO_URI environment variable is not set');
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB Connected Successfully');
+
+        // reviews is no longer in the schema, so read the raw documents
+        const products = await Product.collection
+            .find({ 'reviews.0': { $exists: true } })
+            .project({ reviews: 1 })
+            .toArray();
+
+        let migrated = 0;
+
+        for (const product of products) {
+            for (const review of product.reviews) {
+                if (!review.user || await Review.exists({ product: product._id, user: review.user })) {
+                    continue;
+                }
+
+                await Review.create({
+                    product: product._id,
+                    user: review.user,
+                    rating: Math.min(Math.max(Math.round(review.rating || 1), 1), 5),
+                    comment: review.comment || '',
+                    status: 'approved',
+                    moderatedAt: new Date(),
+                    verifiedPurchase: await ReviewService.isVerifiedPurchase(review.user, product._id),
+                    createdAt: review._id ? review._id.getTimestamp() : undefined
+                });
+                migrated += 1;
+            }
+
+            await ReviewService.updateProductRating(product._id);
+        }
+
+        await Product.collection.updateMany(
+            { averageRating: { $exists: false } },
+            { $set: { averageRating: 0, numReviews: 0, ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } } }
+        );
+        await Product.collection.updateMany({}, { $unset: { reviews: '', rating: '' } });
+
+        console.log(`Migrated ${migrated} review(s) from ${products.length} product(s)`);
+    } catch (error) {
+        console.error('❌ Review migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+migrateReviews();
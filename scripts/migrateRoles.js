@@ -0,0 +1,46 @@
+// One-off migration: convert the legacy isAdmin flag into the role field.
+// Usage: npm run migrate:roles
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../config/roles');
+
+dotenv.config();
+
+const migrateRoles = async () => {
+    try {
+        if (!process.env.MONGO_URI) {
+            throw new Error('MONGO_URI environment variable is not set');
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB Connected Successfully');
+
+        // isAdmin is no longer in the schema, so go through the raw collection
+        const admins = await User.collection.updateMany(
+            { isAdmin: true, role: { $exists: false } },
+            { $set: { role: ROLES.ADMIN } }
+        );
+
+        const customers = await User.collection.updateMany(
+            { role: { $exists: false } },
+            { $set: { role: ROLES.CUSTOMER } }
+        );
+
+        const cleaned = await User.collection.updateMany(
+            { isAdmin: { $exists: true } },
+            { $unset: { isAdmin: '' } }
+        );
+
+        console.log(`Promoted ${admins.modifiedCount} admin(s)`);
+        console.log(`Assigned customer role to ${customers.modifiedCount} user(s)`);
+        console.log(`Removed isAdmin from ${cleaned.modifiedCount} user(s)`);
+    } catch (error) {
+        console.error('❌ Role migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+migrateRoles();
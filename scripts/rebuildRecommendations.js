@@ -0,0 +1,31 @@
+// Recompute product recommendations now instead of waiting for the
+// scheduled job, e.g. after importing order history.
+// Usage: npm run recommendations:rebuild
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const RecommendationService = require('../services/recommendationService');
+
+dotenv.config();
+
+const rebuildRecommendations = async () => {
+    try {
+        if (!process.env.MONGO_URI) {
+            throw new Error('MONGO_URI environment variable is not set');
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB Connected Successfully');
+
+        const { products, removed } = await RecommendationService.recompute();
+
+        console.log(`Computed recommendations for ${products} product(s)`);
+        console.log(`Removed ${removed} stale recommendation(s)`);
+    } catch (error) {
+        console.error('❌ Recommendation rebuild failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+rebuildRecommendations();
@@ -0,0 +1,31 @@
+// Rebuild the autocomplete index from the current products and categories.
+// Run after bulk data changes that bypass the API; popular queries are kept.
+// Usage: npm run search:rebuild-suggestions
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const SearchSuggestionService = require('../services/searchSuggestionService');
+
+dotenv.config();
+
+const rebuildSearchSuggestions = async () => {
+    try {
+        if (!process.env.MONGO_URI) {
+            throw new Error('MONGO_URI environment variable is not set');
+        }
+
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB Connected Successfully');
+
+        const { indexed, removed } = await SearchSuggestionService.rebuild();
+
+        console.log(`Indexed ${indexed} product and category suggestion(s)`);
+        console.log(`Removed ${removed} stale suggestion(s)`);
+    } catch (error) {
+        console.error('❌ Suggestion rebuild failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+rebuildSearchSuggestions();
@@ -3,7 +3,18 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const http = require('http');
 const mongoose = require('mongoose');
+
+// Load environment variables before services read their settings
+dotenv.config();
+
 const WebSocketService = require('./services/webSocketService');
+const SchedulerService = require('./services/schedulerService');
+const ProductLifecycleService = require('./services/productLifecycleService');
+const StockReservationService = require('./services/stockReservationService');
+const RecommendationService = require('./services/recommendationService');
+const PricingService = require('./services/pricingService');
+const NotificationService = require('./services/notificationService');
+const SearchSuggestionService = require('./services/searchSuggestionService');
 
 const { 
     globalErrorHandler, 
@@ -11,15 +22,12 @@ const {
     handleUnhandledRejections,
     handleUncaughtExceptions
 } = require('./middleware/errorMiddleware');
-
-// Load environment variables
-dotenv.config();
+const redact = require('./utils/redact');
 
 // MongoDB Connection with Enhanced Logging
 const connectDB = async () => {
     try {
         console.log('Attempting to connect to MongoDB...');
-        console.log('MongoDB URI:', process.env.MONGO_URI);
         
         // Validate MongoDB URI
         if (!process.env.MONGO_URI) {
@@ -44,6 +52,20 @@ connectDB();
 
 const app = express();
 
+// Behind a reverse proxy (Render) req.ip is the proxy's address unless
+// Express trusts X-Forwarded-For. TRUST_PROXY is a hop count, true/false,
+// or a list of trusted addresses; production defaults to one hop.
+const parseTrustProxy = (value) => {
+    if (value === undefined || value === '') {
+        return process.env.NODE_ENV === 'production' ? 1 : false;
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Production-ready server configuration
 const PORT = process.env.PORT || 10000;
 const HOST = '0.0.0.0';
@@ -52,30 +74,32 @@ const HOST = '0.0.0.0';
 const corsOptions = {
     origin: process.env.FRONTEND_URL || 'https://your-frontend-app-name.onrender.com',
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Currency']
 };
-console.log('CORS Configuration:', corsOptions);
 
 app.use(cors(corsOptions));
 
 // Middleware
 app.use(express.json());
 
-// Middleware for logging all incoming requests
+// Uploaded product images (local file store)
+app.use('/uploads', express.static(process.env.UPLOAD_DIR || 'uploads', { maxAge: '7d' }));
+
+// Middleware for logging all incoming requests, without credentials
 app.use((req, res, next) => {
     console.log(`🔍 Incoming Request: ${req.method} ${req.path}`);
-    console.log('Request Headers:', JSON.stringify(req.headers, null, 2));
-    console.log('Request Body:', JSON.stringify(req.body, null, 2));
+    console.log('Request Headers:', JSON.stringify(redact(req.headers), null, 2));
+    console.log('Request Body:', JSON.stringify(redact(req.body), null, 2));
     next();
 });
 
 // Logging middleware
 app.use((req, res, next) => {
     logger.info(`${req.method} ${req.path}`, {
-        body: req.body,
-        query: req.query,
-        headers: req.headers
+        body: redact(req.body),
+        query: redact(req.query),
+        headers: redact(req.headers)
     });
     next();
 });
@@ -87,6 +111,9 @@ const orderRoutes = require('./routes/orderRoutes');
 const ticketRoutes = require('./routes/ticketRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const cartRoutes = require('./routes/cartRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
 
 app.use('/api/users', (req, res, next) => {
     console.log(`👤 Users Route Request: ${req.method} ${req.path}`);
@@ -94,10 +121,13 @@ app.use('/api/users', (req, res, next) => {
 }, authRoutes);
 
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/currencies', currencyRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 Route Handler
 app.use((req, res, next) => {
@@ -125,6 +155,10 @@ const server = http.createServer(app);
 // Initialize WebSocket Service
 const webSocketService = new WebSocketService(server);
 
+// Share the WebSocket service without modules requiring server.js back
+app.set('webSocketService', webSocketService);
+NotificationService.setWebSocketService(webSocketService);
+
 // Enhanced Error Logging and Handling
 process.on('uncaughtException', (error) => {
     console.error('❌ UNCAUGHT EXCEPTION: ', error);
@@ -178,6 +212,18 @@ const serverInstance = server.listen(PORT, HOST, () => {
     logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Background jobs
+SchedulerService.register('product-schedules', 60 * 1000, () => ProductLifecycleService.applySchedules());
+SchedulerService.register('price-schedules', 60 * 1000, () => PricingService.applyDueSchedules());
+SchedulerService.register('stock-reservations', 60 * 1000, () => StockReservationService.releaseExpired());
+SchedulerService.register('search-suggestions', 24 * 60 * 60 * 1000, () => SearchSuggestionService.pruneQueries());
+SchedulerService.register(
+    'recommendations',
+    (parseInt(process.env.RECOMMENDATION_INTERVAL_MINUTES) || 60) * 60 * 1000,
+    () => RecommendationService.recompute()
+);
+SchedulerService.start();
+
 // Add error handling for server startup
 serverInstance.on('error', (error) => {
     console.error('Server Startup Error:', error);
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorMiddleware');
+
+const KEY_PREFIX = 'sk_';
+
+class ApiKeyService {
+    constructor() {
+        // Avoid a database write on every request
+        this.lastUsedWriteIntervalMs = 60 * 1000;
+    }
+
+    hashKey(rawKey) {
+        return crypto.createHash('sha256').update(rawKey).digest('hex');
+    }
+
+    looksLikeApiKey(value) {
+        return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+    }
+
+    // Create a key; the raw value is returned once and never stored
+    async createKey({ name, scopes, owner, createdBy, expiresAt }) {
+        const rawKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+        const apiKey = await ApiKey.create({
+            name,
+            scopes,
+            owner,
+            createdBy,
+            expiresAt: expiresAt || null,
+            prefix: rawKey.slice(0, KEY_PREFIX.length + 8),
+            keyHash: this.hashKey(rawKey)
+        });
+
+        return { apiKey, rawKey };
+    }
+
+    // Resolve a raw key to its record and owner, or throw
+    async authenticate(rawKey, ip) {
+        const apiKey = await ApiKey.findOne({ keyHash: this.hashKey(rawKey) });
+
+        if (!apiKey || !apiKey.isActive()) {
+            throw new Error('Invalid or revoked API key');
+        }
+
+        const user = await User.findById(apiKey.owner).select('-password');
+        if (!user) {
+            throw new Error('API key owner not found');
+        }
+
+        if (user.suspendedAt) {
+            throw new AppError('The account owning this API key has been suspended', 403);
+        }
+
+        const now = Date.now();
+        if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > this.lastUsedWriteIntervalMs) {
+            await ApiKey.updateOne(
+                { _id: apiKey._id },
+                { lastUsedAt: new Date(now), lastUsedIp: ip || null }
+            );
+        }
+
+        return { apiKey, user };
+    }
+
+    async revokeKey(id) {
+        return ApiKey.findOneAndUpdate(
+            { _id: id, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true }
+        );
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,81 @@
+// How often expired counters are swept, and how many are kept at most
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_RECORDS = 100000;
+
+// Keeps login attempt counters in process memory; suitable for development
+// and single-instance deployments only
+class MemoryAttemptStore {
+    constructor() {
+        this.records = new Map();
+
+        // Counters of abandoned usernames are never read again, so expired
+        // ones are removed here rather than on access
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+    }
+
+    sweep() {
+        const now = new Date();
+        for (const [key, record] of this.records) {
+            if (record.expiresAt <= now) {
+                this.records.delete(key);
+            }
+        }
+    }
+
+    async get(key) {
+        const record = this.records.get(key);
+
+        if (!record) {
+            return null;
+        }
+
+        if (record.expiresAt <= new Date()) {
+            this.records.delete(key);
+            return null;
+        }
+
+        return { ...record };
+    }
+
+    async increment(key, ttlMs) {
+        const existing = await this.get(key);
+        const record = {
+            key,
+            count: 0,
+            nextAttemptAt: null,
+            lockedUntil: null,
+            ...existing
+        };
+
+        record.count += 1;
+        record.expiresAt = new Date(Date.now() + ttlMs);
+
+        // Over the cap, drop the oldest counters (Map keeps insertion order)
+        this.records.delete(key);
+        if (this.records.size >= MAX_RECORDS) {
+            this.sweep();
+            for (const oldest of this.records.keys()) {
+                if (this.records.size < MAX_RECORDS) break;
+                this.records.delete(oldest);
+            }
+        }
+        this.records.set(key, record);
+
+        return { ...record };
+    }
+
+    async update(key, fields) {
+        const record = this.records.get(key);
+
+        if (record) {
+            Object.assign(record, fields);
+        }
+    }
+
+    async reset(key) {
+        this.records.delete(key);
+    }
+}
+
+module.exports = MemoryAttemptStore;
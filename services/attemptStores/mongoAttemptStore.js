@@ -0,0 +1,50 @@
+const LoginAttempt = require('../../models/LoginAttempt');
+
+// Persists login attempt counters in MongoDB so they are shared
+// across server instances and survive restarts
+class MongoAttemptStore {
+    async get(key) {
+        return LoginAttempt.findOne({ 
+            key, 
+            expiresAt: { $gt: new Date() } 
+        }).lean();
+    }
+
+    // One conditional update, so concurrent failed logins cannot race
+    async increment(key, ttlMs, retried = false) {
+        const now = new Date();
+        // Start over if the previous window expired but was not purged yet
+        const expired = { $lte: [{ $ifNull: ['$expiresAt', now] }, now] };
+
+        try {
+            return await LoginAttempt.findOneAndUpdate(
+                { key },
+                [{
+                    $set: {
+                        count: { $cond: [expired, 1, { $add: ['$count', 1] }] },
+                        nextAttemptAt: { $cond: [expired, null, '$nextAttemptAt'] },
+                        lockedUntil: { $cond: [expired, null, '$lockedUntil'] },
+                        expiresAt: new Date(now.getTime() + ttlMs)
+                    }
+                }],
+                { new: true, upsert: true }
+            ).lean();
+        } catch (error) {
+            // Two first attempts upserting the same key; the other one won
+            if (error.code === 11000 && !retried) {
+                return this.increment(key, ttlMs, true);
+            }
+            throw error;
+        }
+    }
+
+    async update(key, fields) {
+        await LoginAttempt.updateOne({ key }, { $set: fields });
+    }
+
+    async reset(key) {
+        await LoginAttempt.deleteOne({ key });
+    }
+}
+
+module.exports = MongoAttemptStore;
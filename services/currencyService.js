@@ -0,0 +1,277 @@
+const fs = require('fs/promises');
+const ExchangeRate = require('../models/ExchangeRate');
+const { AppError } = require('../middleware/errorMiddleware');
+
+// Minor unit digits of currencies that do not use cents, used when a rate
+// is added without its own decimals
+const CURRENCY_DECIMALS = {
+    BHD: 3,
+    JOD: 3,
+    KWD: 3,
+    OMR: 3,
+    TND: 3,
+    JPY: 0,
+    KRW: 0
+};
+
+// How long rates are served from memory before being read again, so rate
+// changes made by other processes are picked up
+const RATE_CACHE_MS = 5 * 60 * 1000;
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const hasValue = (value) => value !== null && value !== undefined;
+
+// Catalog prices are kept in the store's base currency. Other currencies
+// are shown at the exchange rates kept by admins, unless a product sets a
+// price for the currency itself.
+class CurrencyService {
+    constructor() {
+        this.rates = null;
+        this.loadedAt = 0;
+    }
+
+    // Currency catalog prices are entered in
+    get baseCurrency() {
+        return (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+    }
+
+    normalize(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    getDecimals(currency) {
+        return hasValue(CURRENCY_DECIMALS[currency]) ? CURRENCY_DECIMALS[currency] : 2;
+    }
+
+    round(amount, decimals) {
+        const factor = 10 ** decimals;
+        return Math.round(amount * factor) / factor;
+    }
+
+    async getRates() {
+        if (!this.rates || Date.now() - this.loadedAt > RATE_CACHE_MS) {
+            const rates = await ExchangeRate.find().sort('currency');
+            this.rates = new Map(rates.map(rate => [rate.currency, rate]));
+            this.loadedAt = Date.now();
+        }
+        return this.rates;
+    }
+
+    invalidate() {
+        this.rates = null;
+    }
+
+    getBaseContext() {
+        return {
+            currency: this.baseCurrency,
+            rate: 1,
+            decimals: this.getDecimals(this.baseCurrency),
+            isBase: true
+        };
+    }
+
+    // Currency and rate to price a request in; the base currency when no
+    // code is given
+    async resolve(code) {
+        const currency = this.normalize(code);
+        if (!currency || currency === this.baseCurrency) {
+            return this.getBaseContext();
+        }
+
+        const rate = (await this.getRates()).get(currency);
+        if (!rate) {
+            throw new AppError(`Currency ${currency} is not supported`, 400);
+        }
+
+        return {
+            currency,
+            rate: rate.rate,
+            decimals: rate.decimals,
+            isBase: false
+        };
+    }
+
+    async listCurrencies() {
+        const rates = await this.getRates();
+        return [
+            { ...this.getBaseContext(), updatedAt: null },
+            ...[...rates.values()].map(rate => ({
+                currency: rate.currency,
+                rate: rate.rate,
+                decimals: rate.decimals,
+                isBase: false,
+                updatedAt: rate.updatedAt
+            }))
+        ];
+    }
+
+    convert(amount, ctx) {
+        return ctx.isBase ? amount : this.round(amount * ctx.rate, ctx.decimals);
+    }
+
+    // Amount entered in the context's currency, e.g. a price filter, in the
+    // base currency. Rounded to the base decimals so a bound copied from a
+    // converted price matches the stored price again.
+    toBase(amount, ctx) {
+        return ctx.isBase ? amount : this.round(amount / ctx.rate, this.getDecimals(this.baseCurrency));
+    }
+
+    // Regular, effective and compare-at price of a line in the context's
+    // currency. A running sale takes the same share off an overridden price.
+    priceLine({ regularPrice, effectivePrice, override }, ctx) {
+        const onSale = hasValue(effectivePrice) && effectivePrice !== regularPrice;
+
+        if (!ctx.isBase && hasValue(override)) {
+            return {
+                currency: ctx.currency,
+                price: override,
+                effectivePrice: onSale && regularPrice > 0
+                    ? this.round(override * effectivePrice / regularPrice, ctx.decimals)
+                    : override,
+                compareAtPrice: onSale ? override : null
+            };
+        }
+
+        const price = this.convert(regularPrice, ctx);
+        return {
+            currency: ctx.currency,
+            price,
+            effectivePrice: onSale ? this.convert(effectivePrice, ctx) : price,
+            compareAtPrice: onSale ? price : null
+        };
+    }
+
+    // Prices of a product document or one of its variants
+    pricesFor(product, variantId, ctx) {
+        return this.priceLine({
+            regularPrice: product.getRegularPrice(variantId),
+            effectivePrice: product.getPrice(variantId),
+            override: product.getCurrencyPrice(variantId, ctx.currency)
+        }, ctx);
+    }
+
+    // Unit price a customer pays in the context's currency
+    priceFor(product, variantId, ctx) {
+        return this.pricesFor(product, variantId, ctx).effectivePrice;
+    }
+
+    // Product JSON with display prices for the product and its variants
+    presentProduct(product, ctx) {
+        const json = product.toJSON();
+        json.displayPrices = this.pricesFor(product, null, ctx);
+
+        if (Array.isArray(json.variants)) {
+            json.variants = json.variants.map(variant => ({
+                ...variant,
+                displayPrices: this.pricesFor(product, variant._id, ctx)
+            }));
+        }
+
+        return json;
+    }
+
+    presentProducts(products, ctx) {
+        return products.map(product => this.presentProduct(product, ctx));
+    }
+
+    // Same as presentProduct for plain results of an aggregation
+    presentResult(result, ctx) {
+        const overrides = result.currencyPrices || {};
+        const { currencyPrices, ...rest } = result;
+
+        return {
+            ...rest,
+            displayPrices: this.priceLine({
+                regularPrice: result.price,
+                effectivePrice: hasValue(result.effectivePrice) ? result.effectivePrice : result.price,
+                override: overrides[ctx.currency]
+            }, ctx)
+        };
+    }
+
+    // Amount in the smallest unit Stripe charges in, using the decimals the
+    // context's rate was set up with. Stripe takes three-decimal currencies
+    // in thousandths rounded to tens.
+    toMinorUnits(amount, ctx) {
+        const { decimals } = ctx;
+        const units = Math.round(amount * 10 ** decimals);
+        return decimals === 3 ? Math.round(units / 10) * 10 : units;
+    }
+
+    async setRate(code, { rate, decimals }, { source = 'admin', actor = null } = {}) {
+        const currency = this.normalize(code);
+        if (!CURRENCY_PATTERN.test(currency)) {
+            throw new AppError('Currency must be a three-letter ISO 4217 code', 400);
+        }
+        if (currency === this.baseCurrency) {
+            throw new AppError(`${currency} is the base currency; its rate is always 1`, 400);
+        }
+        if (!(rate > 0)) {
+            throw new AppError('Rate must be positive', 400);
+        }
+
+        const exchangeRate = await ExchangeRate.findOneAndUpdate(
+            { currency },
+            {
+                rate,
+                decimals: hasValue(decimals) ? decimals : this.getDecimals(currency),
+                source,
+                updatedBy: actor
+            },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        this.invalidate();
+        return exchangeRate;
+    }
+
+    async removeRate(code) {
+        const removed = await ExchangeRate.findOneAndDelete({ currency: this.normalize(code) });
+        this.invalidate();
+        return removed;
+    }
+
+    // Load rates from a JSON file such as
+    // { "base": "EUR", "rates": { "USD": 1.08, "TND": { "rate": 3.37, "decimals": 3 } } }.
+    // Rates quoted against another base are converted, which needs the
+    // store's base currency among them. Currencies missing from the file
+    // are left as they are.
+    async loadRatesFromFile(filePath, actor = null) {
+        const { base, rates } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        if (!rates || typeof rates !== 'object') {
+            throw new AppError('Exchange rate file has no "rates" object', 400);
+        }
+
+        const entries = Object.entries(rates).map(([code, value]) => ({
+            currency: this.normalize(code),
+            ...(typeof value === 'object' ? value : { rate: value })
+        }));
+
+        const fileBase = this.normalize(base || this.baseCurrency);
+        let divisor = 1;
+        if (fileBase !== this.baseCurrency) {
+            const baseEntry = entries.find(entry => entry.currency === this.baseCurrency);
+            if (!baseEntry || !(baseEntry.rate > 0)) {
+                throw new AppError(`Exchange rate file is based on ${fileBase} and has no rate for ${this.baseCurrency}`, 400);
+            }
+            divisor = baseEntry.rate;
+            if (!entries.some(entry => entry.currency === fileBase)) {
+                entries.push({ currency: fileBase, rate: 1 });
+            }
+        }
+
+        const loaded = [];
+        for (const entry of entries) {
+            if (entry.currency === this.baseCurrency) continue;
+            loaded.push(await this.setRate(entry.currency, {
+                rate: entry.rate / divisor,
+                decimals: entry.decimals
+            }, { source: 'file', actor }));
+        }
+
+        return loaded;
+    }
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Stores uploaded files on the local disk and serves them through express.static.
+// Any store with the same put/remove/getUrl methods (e.g. an S3-compatible
+// bucket) can replace it without touching the callers.
+class LocalFileStore {
+    constructor({ rootDir, baseUrl } = {}) {
+        this.rootDir = path.resolve(rootDir || process.env.UPLOAD_DIR || 'uploads');
+        this.baseUrl = (baseUrl || process.env.UPLOAD_BASE_URL || '/uploads').replace(/\/+$/, '');
+    }
+
+    // Keys are relative, slash-separated paths such as "products/<id>/<name>.webp"
+    resolvePath(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this.resolvePath(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+        return this.getUrl(key);
+    }
+
+    // Removing a missing file is not an error
+    async remove(key) {
+        try {
+            await fs.unlink(this.resolvePath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    getUrl(key) {
+        return `${this.baseUrl}/${key}`;
+    }
+}
+
+module.exports = LocalFileStore;
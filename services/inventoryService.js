@@ -0,0 +1,301 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const StockAlertService = require('./stockAlertService');
+const { AppError } = require('../middleware/errorMiddleware');
+
+// Attempts at a compare-and-set stock update before giving up
+const SET_STOCK_RETRIES = 3;
+
+class InventoryService {
+    // Apply a signed stock change and append it to the ledger. The product is
+    // updated first with a guarded $inc, so stock can never go negative; if
+    // the ledger write then fails the change is rolled back. Sales of
+    // reserved units pass releaseReserved to free the reservation in the
+    // same update.
+    async recordMovement({
+        productId,
+        variantId = null,
+        type,
+        quantity,
+        reason = '',
+        actor = null,
+        order = null,
+        expectedStock,
+        releaseReserved = 0
+    }) {
+        const product = await Product.findById(productId).select('name sku stock variants');
+        if (!product) {
+            throw new AppError('Product not found', 404);
+        }
+
+        const variant = variantId ? product.variants.id(variantId) : null;
+        if (variantId && !variant) {
+            throw new AppError(`Variant ${variantId} of product ${product.name} not found`, 404);
+        }
+        if (!variant && product.variants.length > 0) {
+            throw new AppError(`Stock of ${product.name} is kept per variant; select a variant`, 400);
+        }
+
+        // Compare-and-set when the caller knows the current stock, otherwise
+        // only make sure a decrease does not go below zero
+        const stockCondition = expectedStock !== undefined
+            ? expectedStock
+            : (quantity < 0 ? { $gte: -quantity } : undefined);
+
+        const filter = { _id: product._id };
+        const inc = {};
+
+        const reservedCondition = releaseReserved > 0 ? { $gte: releaseReserved } : undefined;
+
+        if (variant) {
+            filter.variants = {
+                $elemMatch: {
+                    _id: variant._id,
+                    ...(stockCondition !== undefined && { stock: stockCondition }),
+                    ...(reservedCondition && { reserved: reservedCondition })
+                }
+            };
+            inc['variants.$.stock'] = quantity;
+            if (releaseReserved > 0) inc['variants.$.reserved'] = -releaseReserved;
+            // Inactive variants do not count towards the product total
+            if (variant.isActive) inc.stock = quantity;
+        } else {
+            if (stockCondition !== undefined) filter.stock = stockCondition;
+            if (reservedCondition) filter.reserved = reservedCondition;
+            inc.stock = quantity;
+            if (releaseReserved > 0) inc.reserved = -releaseReserved;
+        }
+
+        const updated = await Product.findOneAndUpdate(filter, { $inc: inc }, { new: true });
+        if (!updated) {
+            const label = variant ? `${product.name} (${variant.sku})` : product.name;
+            throw new AppError(
+                expectedStock !== undefined
+                    ? `Stock of ${label} changed, try again`
+                    : `Insufficient stock for product ${label}`,
+                expectedStock !== undefined ? 409 : 400
+            );
+        }
+
+        const balanceAfter = variant ? updated.variants.id(variant._id).stock : updated.stock;
+
+        let movement;
+        try {
+            movement = await StockMovement.create({
+                product: product._id,
+                variant: variant ? variant._id : null,
+                sku: variant ? variant.sku : product.sku,
+                type,
+                quantity,
+                balanceAfter,
+                reason,
+                actor,
+                order
+            });
+        } catch (error) {
+            const revert = Object.fromEntries(Object.entries(inc).map(([path, value]) => [path, -value]));
+            await Product.updateOne(
+                variant ? { _id: product._id, 'variants._id': variant._id } : { _id: product._id },
+                { $inc: revert }
+            );
+            throw error;
+        }
+
+        StockAlertService.handleStockChange({
+            product: updated,
+            variant: variant ? updated.variants.id(variant._id) : null,
+            before: balanceAfter - quantity,
+            after: balanceAfter
+        }).catch(alertError => console.error('Error sending stock alerts:', alertError));
+
+        return movement;
+    }
+
+    // Bring stock to an exact count, e.g. after a stocktake, as one adjustment
+    async setStock({ productId, variantId = null, stock, reason, actor }) {
+        for (let attempt = 0; attempt < SET_STOCK_RETRIES; attempt++) {
+            const product = await Product.findById(productId).select('stock variants');
+            if (!product) {
+                throw new AppError('Product not found', 404);
+            }
+
+            const variant = variantId ? product.variants.id(variantId) : null;
+            const current = variant ? variant.stock : product.stock;
+
+            if (current === stock) {
+                return null;
+            }
+
+            try {
+                return await this.recordMovement({
+                    productId,
+                    variantId,
+                    type: 'adjustment',
+                    quantity: stock - current,
+                    reason,
+                    actor,
+                    expectedStock: current
+                });
+            } catch (error) {
+                if (error.statusCode !== 409 || attempt === SET_STOCK_RETRIES - 1) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    // Stock is kept per variant, or on the product itself when it has none
+    stockLines(product) {
+        return product.variants.length > 0
+            ? product.variants.map(variant => ({ variant: variant._id, sku: variant.sku, stock: variant.stock }))
+            : [{ variant: null, sku: product.sku, stock: product.stock }];
+    }
+
+    // Ledger entries for stock that already exists on a product, without changing it.
+    // Used for new products and variants so their ledger starts at the right balance.
+    // Pass variantIds to open only those variants' lines.
+    async recordOpeningBalance(product, { actor = null, reason = 'Opening balance', variantIds } = {}) {
+        const lines = this.stockLines(product)
+            .filter(line => !variantIds || (line.variant && variantIds.some(id => id.equals(line.variant))));
+
+        const movements = lines
+            .filter(line => line.stock > 0)
+            .map(line => ({
+                product: product._id,
+                variant: line.variant,
+                sku: line.sku,
+                type: 'initial',
+                quantity: line.stock,
+                balanceAfter: line.stock,
+                reason,
+                actor
+            }));
+
+        return movements.length > 0 ? StockMovement.insertMany(movements) : [];
+    }
+
+    // Close stock lines that no longer exist, e.g. removed variants or the
+    // product-level stock of a product that gained variants
+    async recordWriteOff(product, lines, { actor = null, reason = 'Removed' } = {}) {
+        const movements = lines
+            .filter(line => line.stock > 0)
+            .map(line => ({
+                product: product._id,
+                variant: line.variant,
+                sku: line.sku,
+                type: 'adjustment',
+                quantity: -line.stock,
+                balanceAfter: 0,
+                reason,
+                actor
+            }));
+
+        return movements.length > 0 ? StockMovement.insertMany(movements) : [];
+    }
+
+    // Undo movements, e.g. the sales of an order that could not be fulfilled
+    async reverseMovements(movements, reason) {
+        for (const movement of movements) {
+            await this.recordMovement({
+                productId: movement.product,
+                variantId: movement.variant,
+                type: 'cancellation',
+                quantity: -movement.quantity,
+                reason,
+                order: movement.order
+            });
+        }
+    }
+
+    // Put the stock of a cancelled order back. Orders that were never paid
+    // only held reservations and have nothing to restock.
+    async recordCancellation(order, actor = null) {
+        if (!await StockMovement.exists({ order: order._id, type: 'sale' })) {
+            return;
+        }
+
+        for (const item of order.orderItems) {
+            try {
+                await this.recordMovement({
+                    productId: item.product._id || item.product,
+                    variantId: item.variant,
+                    type: 'cancellation',
+                    quantity: item.quantity,
+                    reason: `Order ${order._id} cancelled`,
+                    actor,
+                    order: order._id
+                });
+            } catch (error) {
+                // A product or variant removed since the sale has nothing to restock
+                console.error(`Error restocking item of order ${order._id}:`, error.message);
+            }
+        }
+    }
+
+    // Compare every product and variant stock with the sum of its ledger
+    async reconcile({ includeMatching = false } = {}) {
+        const ledger = await StockMovement.aggregate([
+            {
+                $group: {
+                    _id: { product: '$product', variant: '$variant' },
+                    balance: { $sum: '$quantity' },
+                    movements: { $sum: 1 },
+                    lastMovementAt: { $max: '$createdAt' }
+                }
+            }
+        ]);
+
+        const keyOf = (productId, variantId) => `${productId}:${variantId || ''}`;
+        const balances = new Map(ledger.map(entry => [keyOf(entry._id.product, entry._id.variant), entry]));
+
+        const lines = [];
+        let checked = 0;
+
+        for await (const product of Product.find().select('name sku stock variants deletedAt').cursor()) {
+            for (const line of this.stockLines(product)) {
+                const key = keyOf(product._id, line.variant);
+                const entry = balances.get(key);
+                const ledgerBalance = entry ? entry.balance : 0;
+                balances.delete(key);
+                checked += 1;
+
+                if (line.stock !== ledgerBalance || includeMatching) {
+                    lines.push({
+                        product: product._id,
+                        name: product.name,
+                        variant: line.variant,
+                        sku: line.sku,
+                        stock: line.stock,
+                        ledgerBalance,
+                        difference: line.stock - ledgerBalance,
+                        movements: entry ? entry.movements : 0,
+                        lastMovementAt: entry ? entry.lastMovementAt : null
+                    });
+                }
+            }
+        }
+
+        // Ledger entries whose product or variant no longer exists
+        balances.forEach(entry => {
+            lines.push({
+                product: entry._id.product,
+                variant: entry._id.variant,
+                stock: null,
+                ledgerBalance: entry.balance,
+                difference: -entry.balance,
+                movements: entry.movements,
+                lastMovementAt: entry.lastMovementAt,
+                missing: true
+            });
+        });
+
+        return {
+            checkedAt: new Date(),
+            linesChecked: checked,
+            mismatches: lines.filter(line => line.difference !== 0).length,
+            lines
+        };
+    }
+}
+
+module.exports = new InventoryService();
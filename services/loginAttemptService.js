@@ -0,0 +1,143 @@
+const MemoryAttemptStore = require('./attemptStores/memoryAttemptStore');
+const MongoAttemptStore = require('./attemptStores/mongoAttemptStore');
+const NotificationService = require('./notificationService');
+
+// Pick the counter store from LOGIN_ATTEMPT_STORE (memory | mongo)
+const createStore = () => {
+    const storeName = process.env.LOGIN_ATTEMPT_STORE ||
+        (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory');
+
+    return storeName === 'mongo' ? new MongoAttemptStore() : new MemoryAttemptStore();
+};
+
+class LoginAttemptService {
+    constructor(store) {
+        this.store = store;
+
+        this.maxAccountAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+        this.maxIpAttempts = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+        this.lockoutMs = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+        // Failures allowed before delays kick in, then 1s, 2s, 4s... up to 30s
+        this.freeAttempts = 2;
+        this.baseDelayMs = 1000;
+        this.maxDelayMs = 30 * 1000;
+    }
+
+    accountKey(username) {
+        return `account:${String(username).toLowerCase()}`;
+    }
+
+    ipKey(ip) {
+        return `ip:${ip}`;
+    }
+
+    getDelayMs(count) {
+        if (count <= this.freeAttempts) {
+            return 0;
+        }
+        return Math.min(this.baseDelayMs * 2 ** (count - this.freeAttempts - 1), this.maxDelayMs);
+    }
+
+    // Decide whether a login attempt may proceed
+    async check({ username, ip }) {
+        const now = Date.now();
+        const [account, address] = await Promise.all([
+            this.store.get(this.accountKey(username)),
+            this.store.get(this.ipKey(ip))
+        ]);
+
+        if (account && account.lockedUntil && account.lockedUntil > now) {
+            return {
+                allowed: false,
+                statusCode: 423,
+                retryAfter: Math.ceil((account.lockedUntil - now) / 1000),
+                message: 'Account temporarily locked due to too many failed login attempts'
+            };
+        }
+
+        if (address && address.lockedUntil && address.lockedUntil > now) {
+            return {
+                allowed: false,
+                statusCode: 429,
+                retryAfter: Math.ceil((address.lockedUntil - now) / 1000),
+                message: 'Too many failed login attempts. Please try again later'
+            };
+        }
+
+        const nextAttemptAt = Math.max(
+            (account && account.nextAttemptAt) || 0,
+            (address && address.nextAttemptAt) || 0
+        );
+
+        if (nextAttemptAt > now) {
+            return {
+                allowed: false,
+                statusCode: 429,
+                retryAfter: Math.ceil((nextAttemptAt - now) / 1000),
+                message: 'Too many failed login attempts. Please wait before trying again'
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    // Count a failed attempt; locks the account or IP once over the threshold
+    async recordFailure({ username, ip }, user) {
+        const now = Date.now();
+        const accountKey = this.accountKey(username);
+        const ipKey = this.ipKey(ip);
+
+        const [account, address] = await Promise.all([
+            this.store.increment(accountKey, this.lockoutMs),
+            this.store.increment(ipKey, this.lockoutMs)
+        ]);
+
+        const updates = [];
+        let accountLocked = false;
+
+        if (account.count >= this.maxAccountAttempts) {
+            const lockedUntil = new Date(now + this.lockoutMs);
+            updates.push(this.store.update(accountKey, { lockedUntil }));
+            accountLocked = !account.lockedUntil || account.lockedUntil <= now;
+
+            if (accountLocked && user) {
+                NotificationService.sendAccountLockedEmail(user, lockedUntil)
+                    .catch(error => console.error('Error sending account locked email:', error));
+            }
+        } else {
+            updates.push(this.store.update(accountKey, {
+                nextAttemptAt: new Date(now + this.getDelayMs(account.count))
+            }));
+        }
+
+        if (address.count >= this.maxIpAttempts) {
+            updates.push(this.store.update(ipKey, { lockedUntil: new Date(now + this.lockoutMs) }));
+        } else {
+            updates.push(this.store.update(ipKey, {
+                nextAttemptAt: new Date(now + this.getDelayMs(address.count))
+            }));
+        }
+
+        await Promise.all(updates);
+
+        return { accountLocked };
+    }
+
+    // A successful login clears the account counter; the IP counter is kept
+    // so one valid account cannot be used to reset a guessing run
+    async recordSuccess({ username }) {
+        await this.store.reset(this.accountKey(username));
+    }
+
+    async isLocked(username) {
+        const account = await this.store.get(this.accountKey(username));
+        return Boolean(account && account.lockedUntil && account.lockedUntil > Date.now());
+    }
+
+    async unlock(username) {
+        await this.store.reset(this.accountKey(username));
+    }
+}
+
+module.exports = new LoginAttemptService(createStore());
@@ -1,7 +1,6 @@
 const nodemailer = require('nodemailer');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
-const { server, webSocketService } = require('../server');
 
 class NotificationService {
     constructor() {
@@ -13,6 +12,13 @@ class NotificationService {
                 pass: process.env.EMAIL_PASS
             }
         });
+
+        // Set by server.js once the HTTP server exists
+        this.webSocketService = null;
+    }
+
+    setWebSocketService(webSocketService) {
+        this.webSocketService = webSocketService;
     }
 
     // Create in-app notification with WebSocket broadcast
@@ -21,7 +27,9 @@ class NotificationService {
             const notification = await Notification.createNotification(data);
             
             // Broadcast via WebSocket
-            webSocketService.broadcastNotification(data.user, notification);
+            if (this.webSocketService) {
+                this.webSocketService.broadcastNotification(data.user, notification);
+            }
 
             return notification;
         } catch (error) {
@@ -104,6 +112,115 @@ class NotificationService {
         `;
     }
 
+    // Send a transactional email that is not tied to a ticket
+    async sendAccountEmail(user, subject, html) {
+        const mailOptions = {
+            from: process.env.EMAIL_USER,
+            to: user.email,
+            subject,
+            html
+        };
+
+        await this.transporter.sendMail(mailOptions);
+    }
+
+    // Password reset email
+    async sendPasswordResetEmail(user, resetToken) {
+        const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+        const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+        await this.sendAccountEmail(user, 'Password Reset Request', `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Password Reset</h2>
+                <p>Dear ${user.username},</p>
+                <p>We received a request to reset your password. This link expires in ${ttlMinutes} minutes and can only be used once.</p>
+                <a href="${resetUrl}">Reset Password</a>
+                <p>If you did not request a password reset, you can ignore this email.</p>
+            </div>
+        `);
+    }
+
+    // Email address verification email
+    async sendEmailVerificationEmail(user, verificationToken) {
+        const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+        await this.sendAccountEmail(user, 'Verify Your Email Address', `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Email Verification</h2>
+                <p>Dear ${user.username},</p>
+                <p>Please confirm your email address to start placing orders.</p>
+                <a href="${verifyUrl}">Verify Email</a>
+            </div>
+        `);
+    }
+
+    // Account lockout email
+    async sendAccountLockedEmail(user, lockedUntil) {
+        await this.sendAccountEmail(user, 'Account Temporarily Locked', `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Account Locked</h2>
+                <p>Dear ${user.username},</p>
+                <p>Your account was locked after several failed login attempts. You can try again after ${new Date(lockedUntil).toUTCString()}.</p>
+                <p>If this was not you, we recommend resetting your password.</p>
+                <a href="${process.env.FRONTEND_URL}/forgot-password">Reset Password</a>
+            </div>
+        `);
+    }
+
+    // In-app and email notification about a product, e.g. stock changes.
+    // The email is best effort; the in-app notification is what counts.
+    async sendProductNotification(user, product, type, message, subject, link) {
+        const notification = await this.createInAppNotification({
+            user: user._id,
+            product: product._id,
+            type,
+            message
+        });
+
+        try {
+            await this.sendAccountEmail(user, subject, `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <h2>${subject}</h2>
+                    <p>Dear ${user.username},</p>
+                    <p>${message}</p>
+                    <a href="${process.env.FRONTEND_URL}${link}">View Product</a>
+                </div>
+            `);
+        } catch (error) {
+            console.error('Error sending email notification:', error);
+        }
+
+        return notification;
+    }
+
+    // A product a customer subscribed to is available again
+    async notifyBackInStock(user, product, variant) {
+        const name = variant ? `${product.name} (${variant.sku})` : product.name;
+
+        return this.sendProductNotification(
+            user,
+            product,
+            'BACK_IN_STOCK',
+            `${name} is back in stock.`,
+            'Back in Stock',
+            `/products/${product._id}`
+        );
+    }
+
+    // Stock of a product or variant dropped to its low-stock threshold
+    async notifyLowStock(user, product, variant, stock, threshold) {
+        const name = variant ? `${product.name} (${variant.sku})` : product.name;
+
+        return this.sendProductNotification(
+            user,
+            product,
+            'LOW_STOCK',
+            `Stock of ${name} is down to ${stock} (threshold ${threshold}).`,
+            'Low Stock Alert',
+            `/admin/products/${product._id}`
+        );
+    }
+
     // Notification for ticket creation
     async notifyTicketCreation(ticket) {
         const user = await User.findById(ticket.user);
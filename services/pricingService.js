@@ -0,0 +1,102 @@
+const Product = require('../models/Product');
+const PriceHistory = require('../models/PriceHistory');
+const Cart = require('../models/Cart');
+
+const effectiveOf = (line) => line.salePrice !== null ? line.salePrice : line.regularPrice;
+
+class PricingService {
+    // Current prices of a product and its variants, keyed by variant ID
+    // ('' for the product itself)
+    snapshot(product) {
+        const lines = new Map();
+
+        lines.set('', {
+            variant: null,
+            sku: product.sku,
+            regularPrice: product.price,
+            salePrice: product.salePrice ?? null
+        });
+
+        product.variants.forEach(variant => {
+            lines.set(variant._id.toString(), {
+                variant: variant._id,
+                sku: variant.sku,
+                regularPrice: variant.regularPrice,
+                salePrice: variant.salePrice ?? null
+            });
+        });
+
+        return lines;
+    }
+
+    // Append history entries for the lines whose price differs from a
+    // snapshot taken before the change, and re-price carts holding them.
+    // Pass an empty snapshot for a new product.
+    async recordChanges(product, before, { reason, actor = null } = {}) {
+        const entries = [];
+        const repriced = [];
+
+        this.snapshot(product).forEach((line, key) => {
+            const previous = before.get(key);
+            if (previous &&
+                previous.regularPrice === line.regularPrice &&
+                previous.salePrice === line.salePrice) {
+                return;
+            }
+
+            entries.push({
+                product: product._id,
+                variant: line.variant,
+                sku: line.sku,
+                regularPrice: line.regularPrice,
+                salePrice: line.salePrice,
+                effectivePrice: effectiveOf(line),
+                reason,
+                actor
+            });
+
+            if (previous && effectiveOf(previous) !== effectiveOf(line)) {
+                repriced.push(line);
+            }
+        });
+
+        if (entries.length > 0) {
+            await PriceHistory.insertMany(entries);
+        }
+
+        for (const line of repriced) {
+            await this.repriceCarts(product._id, line.variant, effectiveOf(line));
+        }
+
+        return entries;
+    }
+
+    // Carts store the unit price of each line; keep them in step with sales
+    async repriceCarts(productId, variantId, price) {
+        return Cart.updateMany(
+            { 'items.product': productId },
+            { $set: { 'items.$[line].price': price } },
+            { arrayFilters: [{ 'line.product': productId, 'line.variant': variantId }] }
+        );
+    }
+
+    // Start and end sales whose time has come; run by the scheduler
+    async applyDueSchedules(now = new Date()) {
+        let updated = 0;
+
+        for await (const product of Product.find({ nextPriceChangeAt: { $lte: now } }).cursor()) {
+            try {
+                const before = this.snapshot(product);
+                await product.save();
+                await this.recordChanges(product, before, { reason: 'Price schedule' });
+                updated += 1;
+            } catch (error) {
+                console.error(`Error applying price schedules of product ${product._id}:`, error.message);
+            }
+        }
+
+        return updated;
+    }
+}
+
+module.exports = new PricingService();
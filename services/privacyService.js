@@ -0,0 +1,153 @@
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Ticket = require('../models/Ticket');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Review = require('../models/Review');
+const StockSubscription = require('../models/StockSubscription');
+const LoginAttemptService = require('./loginAttemptService');
+const ReviewService = require('./reviewService');
+const escapeRegex = require('../utils/escapeRegex');
+
+const REDACTED = '[redacted]';
+
+// Orders in these states are still being fulfilled and block deletion
+const ACTIVE_ORDER_STATUSES = ['Processing', 'Shipped'];
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+
+class PrivacyService {
+    // Remove emails, phone-like numbers and the user's own identifiers from text
+    scrubText(text, identifiers = []) {
+        if (!text) {
+            return text;
+        }
+
+        let scrubbed = text
+            .replace(EMAIL_PATTERN, REDACTED)
+            .replace(PHONE_PATTERN, REDACTED);
+
+        identifiers.filter(Boolean).forEach(identifier => {
+            scrubbed = scrubbed.replace(new RegExp(escapeRegex(identifier), 'gi'), REDACTED);
+        });
+
+        return scrubbed;
+    }
+
+    // Collect everything stored about a user into one JSON document
+    async exportUserData(userId) {
+        const [user, orders, cart, tickets, notifications, sessions, reviews, stockSubscriptions] = await Promise.all([
+            User.findById(userId)
+                .select('-password -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodes')
+                .lean(),
+            Order.find({ user: userId }).lean(),
+            Cart.findOne({ user: userId }).lean(),
+            Ticket.find({ user: userId }).lean(),
+            Notification.find({ user: userId }).lean(),
+            Session.find({ user: userId })
+                .select('userAgent ip createdAt lastUsedAt expiresAt revokedAt')
+                .lean(),
+            Review.find({ user: userId })
+                .select('-votes -moderatedBy')
+                .lean(),
+            StockSubscription.find({ user: userId }).lean()
+        ]);
+
+        return {
+            exportedAt: new Date().toISOString(),
+            profile: user,
+            orders,
+            cart,
+            tickets,
+            notifications,
+            sessions,
+            reviews,
+            stockSubscriptions
+        };
+    }
+
+    async hasActiveOrders(userId) {
+        const count = await Order.countDocuments({
+            user: userId,
+            status: { $in: ACTIVE_ORDER_STATUSES }
+        });
+        return count > 0;
+    }
+
+    // Erase a user: orders are kept for accounting but stripped of PII,
+    // ticket text is scrubbed and payment details removed, everything else is deleted
+    async deleteUserAccount(user) {
+        const now = new Date();
+        const identifiers = [user.username, user.email];
+
+        // Keep country and postal code for tax reporting, drop the rest
+        const orderResult = await Order.updateMany(
+            { user: user._id },
+            {
+                $set: {
+                    'shippingAddress.address': REDACTED,
+                    'shippingAddress.sourceAddress': null,
+                    'billingAddress.address': REDACTED,
+                    'billingAddress.sourceAddress': null,
+                    anonymizedAt: now
+                },
+                $unset: {
+                    'shippingAddress.label': '',
+                    'shippingAddress.fullName': '',
+                    'shippingAddress.phone': '',
+                    'billingAddress.label': '',
+                    'billingAddress.fullName': '',
+                    'billingAddress.phone': '',
+                    'paymentResult.email_address': ''
+                }
+            }
+        );
+
+        // Updated directly so the ticket save hooks do not change status or priority
+        const tickets = await Ticket.find({ user: user._id }).lean();
+        for (const ticket of tickets) {
+            await Ticket.updateOne({ _id: ticket._id }, {
+                $set: {
+                    subject: this.scrubText(ticket.subject, identifiers),
+                    description: this.scrubText(ticket.description, identifiers),
+                    messages: ticket.messages.map(message => ({
+                        ...message,
+                        message: this.scrubText(message.message, identifiers)
+                    })),
+                    anonymizedAt: now
+                },
+                $unset: {
+                    'paymentDetails.d17': '',
+                    'paymentDetails.boustaRIB': ''
+                }
+            });
+        }
+
+        // Reviews are deleted and ratings recomputed; votes stay counted but unlinked
+        const reviewedProducts = await Review.distinct('product', { user: user._id, status: 'approved' });
+        await Review.deleteMany({ user: user._id });
+        await Review.updateMany({ 'votes.user': user._id }, { $pull: { votes: { user: user._id } } });
+        await Promise.all(reviewedProducts.map(productId => ReviewService.updateProductRating(productId)));
+
+        await Promise.all([
+            Cart.deleteMany({ user: user._id }),
+            Notification.deleteMany({ user: user._id }),
+            StockSubscription.deleteMany({ user: user._id }),
+            Session.deleteMany({ user: user._id }),
+            ApiKey.updateMany({ owner: user._id, revokedAt: null }, { revokedAt: now }),
+            LoginAttemptService.unlock(user.username)
+        ]);
+
+        await User.deleteOne({ _id: user._id });
+
+        return {
+            ordersAnonymized: orderResult.modifiedCount,
+            ticketsScrubbed: tickets.length
+        };
+    }
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,303 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { AppError } = require('../middleware/errorMiddleware');
+
+// "ram>=16", "color=red|blue", "touchscreen!=true"
+const FILTER_PATTERN = /^([a-z][a-z0-9_]*)\s*(>=|<=|!=|=|>|<)\s*(.+)$/i;
+
+const RANGE_OPERATORS = {
+    '>': '$gt',
+    '>=': '$gte',
+    '<': '$lt',
+    '<=': '$lte'
+};
+
+const BOOLEAN_VALUES = {
+    true: true,
+    yes: true,
+    1: true,
+    false: false,
+    no: false,
+    0: false
+};
+
+// Facet values returned per attribute
+const MAX_FACET_VALUES = 50;
+
+const facetName = (key) => `attributes_${key}`;
+
+const typeError = (definition) => definition.type === 'enum'
+    ? `${definition.name} must be one of ${definition.values.join(', ')}`
+    : `${definition.name} must be a ${definition.type}`;
+
+// Attribute definitions live on categories and are inherited by their
+// subcategories; products store values for them in a key/value list that
+// listings filter on and count as facets.
+class ProductAttributeService {
+    // Convert a value to the attribute's type, or return undefined
+    castValue(definition, value) {
+        if (definition.type === 'number') {
+            const number = typeof value === 'number' ? value : parseFloat(value);
+            return Number.isFinite(number) ? number : undefined;
+        }
+
+        if (definition.type === 'boolean') {
+            if (typeof value === 'boolean') return value;
+            return BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+        }
+
+        // Enum values match case-insensitively and are stored as defined
+        const wanted = String(value).trim().toLowerCase();
+        return definition.values.find(allowed => allowed.toLowerCase() === wanted);
+    }
+
+    // Check attribute values, given as { key: value } or as a stored list,
+    // against a category's definitions. Throws listing every problem.
+    // dropUnknown discards keys the category does not define, e.g. when a
+    // product moves to another category.
+    normalizeValues(definitions, input, { requireAll = true, dropUnknown = false } = {}) {
+        const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+        const entries = Array.isArray(input)
+            ? input.map(attribute => [attribute.key, attribute.value])
+            : Object.entries(input || {});
+
+        const problems = [];
+        const values = [];
+
+        entries.forEach(([key, value]) => {
+            const definition = byKey.get(key);
+            if (!definition) {
+                if (!dropUnknown) problems.push(`Attribute ${key} is not defined for this category`);
+                return;
+            }
+
+            // Null clears an optional attribute
+            if (value === null || value === undefined || value === '') {
+                return;
+            }
+
+            const cast = this.castValue(definition, value);
+            if (cast === undefined) {
+                problems.push(typeError(definition));
+                return;
+            }
+
+            if (definition.type === 'number' &&
+                ((definition.min !== null && cast < definition.min) || (definition.max !== null && cast > definition.max))) {
+                problems.push(`${definition.name} must be between ${definition.min ?? '-∞'} and ${definition.max ?? '∞'}`);
+                return;
+            }
+
+            values.push({ key, value: cast });
+        });
+
+        if (requireAll) {
+            definitions
+                .filter(definition => definition.required && !values.some(value => value.key === definition.key))
+                .forEach(definition => problems.push(`${definition.name} is required`));
+        }
+
+        if (problems.length > 0) {
+            throw new AppError(problems.join('; '), 400);
+        }
+
+        return values;
+    }
+
+    // Validated attribute list for a product in a category
+    async valuesForCategory(categoryId, input, options) {
+        const definitions = await Category.getAttributeDefinitions(categoryId);
+        return this.normalizeValues(definitions, input, options);
+    }
+
+    // Definitions that can be filtered on when listing a category (by ID or
+    // slug): inherited ones and those of every subcategory. Without a
+    // category, all definitions in the catalog. Keyed by attribute key.
+    async getDefinitionsInScope(categoryParam) {
+        const definitions = new Map();
+        const addMissing = (categories) => categories
+            .sort((a, b) => a.depth - b.depth)
+            .forEach(category => category.attributes.forEach(attribute => {
+                if (!definitions.has(attribute.key)) {
+                    definitions.set(attribute.key, attribute.toObject());
+                }
+            }));
+
+        if (!categoryParam) {
+            addMissing(await Category.find({ 'attributes.0': { $exists: true } }).select('depth attributes'));
+            return definitions;
+        }
+
+        const category = await Category.findByIdOrSlug(categoryParam);
+        if (!category) {
+            return definitions;
+        }
+
+        // The category's own definitions win; subcategories only add keys
+        const lineage = await Category.find({ _id: { $in: category.ancestorIds } }).select('depth attributes');
+        Category.mergeAttributeDefinitions([...lineage.sort((a, b) => a.depth - b.depth), category])
+            .forEach(definition => definitions.set(definition.key, definition));
+
+        addMissing(await Category.find({
+            path: { $regex: `^${category.path}` },
+            _id: { $ne: category._id },
+            'attributes.0': { $exists: true }
+        }).select('depth attributes'));
+
+        return definitions;
+    }
+
+    // Parse "attr" query parameters, repeated or comma-separated, into one
+    // condition per attribute key
+    parseFilters(expressions, definitions) {
+        const list = (Array.isArray(expressions) ? expressions : [expressions])
+            .filter(expression => typeof expression === 'string')
+            .flatMap(expression => expression.split(','))
+            .map(expression => expression.trim())
+            .filter(Boolean);
+
+        const ranges = new Map();
+        const filters = {};
+
+        list.forEach(expression => {
+            const match = FILTER_PATTERN.exec(expression);
+            if (!match) {
+                throw new AppError(`Invalid attribute filter "${expression}", expected e.g. ram>=16 or color=red`, 400);
+            }
+
+            const [, rawKey, operator, rawValue] = match;
+            const key = rawKey.toLowerCase();
+            const definition = definitions.get(key);
+            if (!definition) {
+                throw new AppError(`Unknown attribute ${key}`, 400);
+            }
+
+            const values = rawValue.split('|').map(value => {
+                const cast = this.castValue(definition, value);
+                if (cast === undefined) {
+                    throw new AppError(typeError(definition), 400);
+                }
+                return cast;
+            });
+
+            if (RANGE_OPERATORS[operator]) {
+                if (definition.type !== 'number' || values.length > 1) {
+                    throw new AppError(`${operator} needs a single number; ${definition.name} cannot be compared`, 400);
+                }
+                // Bounds on the same attribute must hold for the same value
+                const range = ranges.get(key) || {};
+                range[RANGE_OPERATORS[operator]] = values[0];
+                ranges.set(key, range);
+                return;
+            }
+
+            const elemMatch = { $elemMatch: { key, value: { $in: values } } };
+            filters[key] = operator === '!='
+                ? { attributes: { $not: elemMatch } }
+                : { attributes: elemMatch };
+        });
+
+        ranges.forEach((range, key) => {
+            const condition = { attributes: { $elemMatch: { key, value: range } } };
+            filters[key] = filters[key] ? { $and: [filters[key], condition] } : condition;
+        });
+
+        return filters;
+    }
+
+    // $facet sub-pipelines counting attribute values. A filtered attribute
+    // is counted without its own filter so its other values stay
+    // selectable; matchFor(key) returns the $match that leaves key out.
+    buildFacetPipelines(definitions, filteredKeys, matchFor) {
+        const keys = [...definitions.values()]
+            .filter(definition => definition.filterable)
+            .map(definition => definition.key);
+
+        const countValues = (facetKeys) => [
+            { $unwind: '$attributes' },
+            { $match: { 'attributes.key': { $in: facetKeys } } },
+            { $group: { _id: { key: '$attributes.key', value: '$attributes.value' }, count: { $sum: 1 } } }
+        ];
+
+        const pipelines = {
+            attributes: [
+                { $match: matchFor(null) },
+                ...countValues(keys.filter(key => !filteredKeys.includes(key)))
+            ]
+        };
+
+        filteredKeys
+            .filter(key => keys.includes(key))
+            .forEach(key => {
+                pipelines[facetName(key)] = [{ $match: matchFor(key) }, ...countValues([key])];
+            });
+
+        return pipelines;
+    }
+
+    // Turn the counts from buildFacetPipelines into one facet per attribute
+    formatFacets(result, definitions) {
+        const buckets = Object.entries(result)
+            .filter(([name]) => name === 'attributes' || name.startsWith('attributes_'))
+            .flatMap(([, counts]) => counts);
+
+        return [...definitions.values()]
+            .filter(definition => definition.filterable)
+            .map(definition => {
+                const counts = buckets.filter(bucket => bucket._id.key === definition.key);
+                if (counts.length === 0) {
+                    return null;
+                }
+
+                const order = definition.type === 'enum'
+                    ? (value) => definition.values.indexOf(value)
+                    : (value) => Number(value);
+                const values = counts
+                    .map(bucket => ({ value: bucket._id.value, count: bucket.count }))
+                    .sort((a, b) => order(a.value) - order(b.value))
+                    .slice(0, MAX_FACET_VALUES);
+
+                const facet = {
+                    key: definition.key,
+                    name: definition.name,
+                    type: definition.type,
+                    values
+                };
+
+                if (definition.type === 'number') {
+                    const numbers = counts.map(bucket => bucket._id.value).filter(value => typeof value === 'number');
+                    facet.unit = definition.unit;
+                    facet.min = Math.min(...numbers);
+                    facet.max = Math.max(...numbers);
+                }
+
+                return facet;
+            })
+            .filter(Boolean);
+    }
+
+    // Attribute facets for a product list query without its attribute
+    // filters, for listings that do not run their own aggregation
+    async getFacets(baseQuery, attributeFilters, definitions) {
+        if (definitions.size === 0) {
+            return [];
+        }
+
+        // The base query runs first so it can use indexes
+        const matchFor = (exclude) => {
+            const conditions = Object.entries(attributeFilters)
+                .filter(([key]) => key !== exclude)
+                .map(([, condition]) => condition);
+            return conditions.length > 0 ? { $and: conditions } : {};
+        };
+
+        const [result] = await Product.aggregate([
+            { $match: baseQuery },
+            { $facet: this.buildFacetPipelines(definitions, Object.keys(attributeFilters), matchFor) }
+        ]);
+
+        return this.formatFacets(result, definitions);
+    }
+}
+
+module.exports = new ProductAttributeService();
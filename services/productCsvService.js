@@ -0,0 +1,570 @@
+const { once } = require('events');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify');
+const { stringify: stringifySync } = require('csv-stringify/sync');
+const { validationResult } = require('express-validator');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ProductImportJob = require('../models/ProductImportJob');
+const ProductSearchService = require('./productSearchService');
+const SearchSuggestionService = require('./searchSuggestionService');
+const InventoryService = require('./inventoryService');
+const PricingService = require('./pricingService');
+const ProductAttributeService = require('./productAttributeService');
+const { productValidation } = require('../middleware/validationMiddleware');
+const mongoose = require('mongoose');
+const escapeRegex = require('../utils/escapeRegex');
+
+// One row per product, followed by one row per variant (with parentSku set).
+// options holds "Size=S|M|L;Color=Red|Blue" on product rows and
+// "Size=M;Color=Red" on variant rows; attributes holds "ram=16;color=Red"
+// on product rows.
+const CSV_COLUMNS = ['sku', 'parentSku', 'name', 'description', 'price', 'category', 'stock', 'imageUrl', 'status', 'options', 'attributes'];
+
+// Spreadsheet apps run cells starting with these as formulas, so exported
+// cells that do are prefixed with a quote, which the import removes again.
+// Cells already quoted that way get one more quote to round-trip.
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+// Keep the job document well below MongoDB's size limit
+const MAX_ROW_ERRORS = 1000;
+const PROGRESS_INTERVAL = 100;
+
+class ProductCsvService {
+    parseOptions(value) {
+        return String(value || '')
+            .split(';')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const [name, values = ''] = part.split('=');
+                return {
+                    name: name.trim(),
+                    values: values.split('|').map(option => option.trim()).filter(Boolean)
+                };
+            });
+    }
+
+    formatOptions(options) {
+        return options
+            .map(option => `${option.name}=${option.values.join('|')}`)
+            .join(';');
+    }
+
+    parseAttributes(value) {
+        return Object.fromEntries(String(value || '')
+            .split(';')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const [key, ...rest] = part.split('=');
+                return [key.trim().toLowerCase(), rest.join('=').trim()];
+            }));
+    }
+
+    formatAttributes(attributes) {
+        return attributes
+            .map(attribute => `${attribute.key}=${attribute.value}`)
+            .join(';');
+    }
+
+    escapeCell(value) {
+        return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+    }
+
+    unescapeCell(value) {
+        return typeof value === 'string' && value.startsWith("'") && FORMULA_PREFIX.test(value)
+            ? value.slice(1)
+            : value;
+    }
+
+    // The product as a request body, so rows can be merged into it and re-validated
+    toBody(product) {
+        return {
+            sku: product.sku,
+            name: product.name,
+            description: product.description,
+            price: product.price,
+            category: product.category ? (product.category._id || product.category).toString() : undefined,
+            stock: product.stock,
+            imageUrl: product.imageUrl,
+            status: product.status,
+            options: product.options.map(option => ({ name: option.name, values: [...option.values] }))
+        };
+    }
+
+    // Run the productValidation chain against a plain body
+    async validateBody(body) {
+        const req = { body };
+        for (const rule of productValidation) {
+            await rule.run(req);
+        }
+        return { body: req.body, errors: validationResult(req).array() };
+    }
+
+    async resolveCategory(value, context) {
+        if (!context.categories.has(value)) {
+            context.categories.set(value, await Category.findByIdOrSlug(value));
+        }
+        return context.categories.get(value);
+    }
+
+    // Validated attribute values, with definitions loaded once per category
+    async attributeValues(categoryId, input, context, options) {
+        if (!context.definitions.has(categoryId)) {
+            context.definitions.set(categoryId, await Category.getAttributeDefinitions(categoryId));
+        }
+        return ProductAttributeService.normalizeValues(context.definitions.get(categoryId), input, options);
+    }
+
+    // Variant rows of products without a SKU name the product by its ID
+    async findProduct(sku, context) {
+        if (!context.products.has(sku)) {
+            const product = await Product.findOne({ sku, deletedAt: null }) ||
+                (mongoose.isValidObjectId(sku)
+                    ? await Product.findOne({ _id: sku, sku: { $in: [null, ''] }, deletedAt: null })
+                    : null);
+            if (product) {
+                context.products.set(sku, {
+                    product,
+                    rows: [],
+                    isNew: false,
+                    wasSimple: product.variants.length === 0,
+                    previousStock: product.stock,
+                    previousPrices: PricingService.snapshot(product),
+                    // Stock changes of existing lines go through the ledger after the save
+                    stockTargets: new Map()
+                });
+            }
+        }
+        return context.products.get(sku);
+    }
+
+    // Create or update a product from a row; returns row errors
+    async applyProductRow(row, context) {
+        const entry = await this.findProduct(row.sku, context);
+
+        if (!entry && await Product.exists({ 'variants.sku': row.sku })) {
+            return [{ field: 'sku', message: 'SKU is already used by a product variant' }];
+        }
+
+        if (!entry && await Product.exists({ sku: row.sku, deletedAt: { $ne: null } })) {
+            return [{ field: 'sku', message: 'SKU belongs to a deleted product; restore it first' }];
+        }
+
+        const body = entry ? this.toBody(entry.product) : { stock: '0' };
+        ['name', 'description', 'price', 'stock', 'imageUrl', 'status'].forEach(field => {
+            if (row[field] !== undefined && row[field] !== '') body[field] = row[field];
+        });
+        body.sku = row.sku;
+
+        if (row.category) {
+            const category = await this.resolveCategory(row.category, context);
+            if (!category) {
+                return [{ field: 'category', message: `Category ${row.category} not found` }];
+            }
+            body.category = category._id.toString();
+        }
+
+        if (row.options) {
+            body.options = this.parseOptions(row.options);
+        }
+
+        const { body: sanitized, errors } = await this.validateBody(body);
+        if (errors.length > 0) {
+            return errors.map(error => ({ field: error.path, message: error.msg }));
+        }
+
+        // Same rules as the product API: given attributes replace the
+        // product's, new products need the required ones, and a move to
+        // another category drops values it does not define
+        const categoryChanged = entry && sanitized.category !== this.toBody(entry.product).category;
+        let attributes;
+        try {
+            if (row.attributes) {
+                attributes = await this.attributeValues(sanitized.category, this.parseAttributes(row.attributes), context);
+            } else if (!entry) {
+                attributes = await this.attributeValues(sanitized.category, {}, context);
+            } else if (categoryChanged) {
+                attributes = await this.attributeValues(sanitized.category, entry.product.attributes, context, {
+                    requireAll: false,
+                    dropUnknown: true
+                });
+            }
+        } catch (error) {
+            if (!error.statusCode) throw error;
+            return [{ field: 'attributes', message: error.message }];
+        }
+
+        const product = entry ? entry.product : new Product();
+        const previous = entry ? entry.product.toObject() : null;
+
+        product.set({
+            sku: sanitized.sku,
+            name: sanitized.name,
+            description: sanitized.description,
+            price: sanitized.price,
+            category: sanitized.category,
+            stock: entry ? product.stock : sanitized.stock,
+            imageUrl: sanitized.imageUrl || '',
+            status: sanitized.status || product.status,
+            options: sanitized.options || []
+        });
+        if (attributes !== undefined) {
+            product.attributes = attributes;
+        }
+
+        try {
+            await product.validate();
+        } catch (error) {
+            if (previous) product.overwrite(previous);
+            return [{ field: 'sku', message: error.message }];
+        }
+
+        if (entry && row.stock !== undefined && row.stock !== '') {
+            entry.stockTargets.set('', sanitized.stock);
+        }
+
+        const target = entry || { product, rows: [], isNew: true };
+        target.rows.push(row);
+        context.products.set(row.sku, target);
+        return [];
+    }
+
+    // Add or update a variant on its parent product; returns row errors
+    async applyVariantRow(row, context) {
+        const entry = await this.findProduct(row.parentSku, context);
+        if (!entry) {
+            return [{ field: 'parentSku', message: `No product with SKU ${row.parentSku}` }];
+        }
+
+        const { product } = entry;
+        const owner = await Product.findOne({ $or: [{ sku: row.sku }, { 'variants.sku': row.sku }] }).select('_id');
+        if ((owner && !owner._id.equals(product._id)) || context.products.has(row.sku)) {
+            return [{ field: 'sku', message: 'SKU is already used by another product' }];
+        }
+
+        const existing = product.variants.find(variant => variant.sku === row.sku);
+        const selected = Object.fromEntries(
+            this.parseOptions(row.options).map(option => [option.name, option.values[0]])
+        );
+
+        const variantBody = {
+            sku: row.sku,
+            options: { ...(existing ? Object.fromEntries(existing.options) : {}), ...selected }
+        };
+        if (row.price !== undefined && row.price !== '') {
+            variantBody.price = row.price;
+        } else if (existing && existing.price !== null) {
+            variantBody.price = existing.price;
+        }
+        variantBody.stock = row.stock !== undefined && row.stock !== ''
+            ? row.stock
+            : (existing ? existing.stock : 0);
+
+        const { body, errors } = await this.validateBody({ ...this.toBody(product), variants: [variantBody] });
+        if (errors.length > 0) {
+            return errors.map(error => ({
+                field: error.path.replace(/^variants\[0\]\./, ''),
+                message: error.msg
+            }));
+        }
+
+        const previous = product.toObject();
+        const [variant] = body.variants;
+
+        // New option values are added to the product's option axes
+        Object.entries(variant.options).forEach(([name, value]) => {
+            const option = product.options.find(candidate => candidate.name === name);
+            if (!option) {
+                product.options.push({ name, values: [value] });
+            } else if (!option.values.includes(value)) {
+                option.values.push(value);
+            }
+        });
+
+        if (existing && !existing.isNew) {
+            existing.set({ options: variant.options, price: variant.price ?? null });
+            if (row.stock !== undefined && row.stock !== '') {
+                entry.stockTargets.set(existing._id.toString(), variant.stock);
+            }
+        } else if (existing) {
+            existing.set({ options: variant.options, price: variant.price ?? null, stock: variant.stock });
+        } else {
+            product.variants.push({ ...variant, price: variant.price ?? null });
+        }
+
+        try {
+            await product.validate();
+        } catch (error) {
+            product.overwrite(previous);
+            return [{ field: 'options', message: error.message }];
+        }
+
+        entry.rows.push(row);
+        return [];
+    }
+
+    // Bring the inventory ledger in line with a saved import entry
+    async recordStock(entry, newVariantIds, actor) {
+        const { product } = entry;
+
+        if (entry.isNew) {
+            return InventoryService.recordOpeningBalance(product, { actor, reason: 'CSV import' });
+        }
+
+        // The product's own stock leaves the ledger once it is split into variants
+        if (entry.wasSimple && product.variants.length > 0) {
+            await InventoryService.recordWriteOff(
+                product,
+                [{ variant: null, sku: product.sku, stock: entry.previousStock }],
+                { actor, reason: 'Split into variants' }
+            );
+        }
+
+        await InventoryService.recordOpeningBalance(product, { actor, reason: 'CSV import', variantIds: newVariantIds });
+
+        for (const [variantId, stock] of entry.stockTargets) {
+            if (!variantId && product.variants.length > 0) {
+                continue;
+            }
+            await InventoryService.setStock({
+                productId: product._id,
+                variantId: variantId || null,
+                stock,
+                reason: 'CSV import',
+                actor
+            });
+        }
+    }
+
+    // Parse and apply a CSV file, recording progress and per-row errors on the job
+    async runImport(jobId, buffer) {
+        const job = await ProductImportJob.findByIdAndUpdate(
+            jobId,
+            { status: 'running', startedAt: new Date() },
+            { new: true }
+        );
+
+        let records;
+        try {
+            records = parse(buffer, {
+                columns: header => header.map(column => column.trim()),
+                skip_empty_lines: true,
+                trim: true,
+                bom: true,
+                info: true
+            });
+        } catch (error) {
+            job.set({ status: 'failed', error: `Could not parse CSV: ${error.message}`, finishedAt: new Date() });
+            return job.save();
+        }
+
+        if (records.length > 0 && !('sku' in records[0].record)) {
+            job.set({ status: 'failed', error: 'The CSV needs a "sku" column', finishedAt: new Date() });
+            return job.save();
+        }
+
+        const rows = records.map(({ record, info }) => ({
+            ...Object.fromEntries(Object.entries(record).map(([column, value]) => [column, this.unescapeCell(value)])),
+            line: info.lines
+        }));
+        const context = { products: new Map(), categories: new Map(), definitions: new Map() };
+        const failedLines = new Set();
+        const rowErrors = [];
+
+        const addErrors = (row, errors) => {
+            failedLines.add(row.line);
+            errors.forEach(error => {
+                if (rowErrors.length < MAX_ROW_ERRORS) {
+                    rowErrors.push({ row: row.line, sku: row.sku, ...error });
+                }
+            });
+        };
+
+        job.totalRows = rows.length;
+        await job.save();
+
+        // Products first so variant rows can refer to parents anywhere in the file
+        const ordered = [
+            ...rows.filter(row => !row.parentSku),
+            ...rows.filter(row => row.parentSku)
+        ];
+
+        for (let i = 0; i < ordered.length; i++) {
+            const row = ordered[i];
+
+            const errors = !row.sku
+                ? [{ field: 'sku', message: 'SKU is required' }]
+                : row.parentSku
+                    ? await this.applyVariantRow(row, context)
+                    : await this.applyProductRow(row, context);
+
+            if (errors.length > 0) {
+                addErrors(row, errors);
+            }
+
+            if ((i + 1) % PROGRESS_INTERVAL === 0) {
+                await ProductImportJob.updateOne({ _id: job._id }, { processedRows: i + 1 });
+            }
+        }
+
+        let created = 0;
+        let updated = 0;
+
+        // The same product can be reached through several SKUs
+        const entries = new Set(context.products.values());
+        for (const entry of entries) {
+            if (entry.rows.length === 0) {
+                continue;
+            }
+
+            if (!job.dryRun) {
+                try {
+                    const newVariantIds = entry.product.variants
+                        .filter(variant => variant.isNew)
+                        .map(variant => variant._id);
+
+                    await entry.product.save();
+                    await this.recordStock(entry, newVariantIds, job.createdBy);
+                    await PricingService.recordChanges(entry.product, entry.previousPrices || new Map(), {
+                        reason: 'CSV import',
+                        actor: job.createdBy
+                    });
+                    SearchSuggestionService.indexProduct(entry.product)
+                        .catch(indexError => console.error('Error indexing product suggestion:', indexError));
+                } catch (error) {
+                    entry.rows.forEach(row => addErrors(row, [{ field: 'sku', message: error.message }]));
+                    continue;
+                }
+            }
+
+            if (entry.isNew) {
+                created += 1;
+            } else {
+                updated += 1;
+            }
+        }
+
+        job.set({
+            status: 'completed',
+            processedRows: rows.length,
+            created,
+            updated,
+            failed: failedLines.size,
+            rowErrors: rowErrors.sort((a, b) => a.row - b.row),
+            finishedAt: new Date()
+        });
+        return job.save();
+    }
+
+    // Run the import after the response has been sent
+    startImport(job, buffer) {
+        setImmediate(() => {
+            this.runImport(job._id, buffer).catch(async (error) => {
+                console.error('Product import failed:', error);
+                await ProductImportJob.updateOne(
+                    { _id: job._id },
+                    { status: 'failed', error: error.message, finishedAt: new Date() }
+                ).catch(() => {});
+            });
+        });
+    }
+
+    buildErrorReport(job) {
+        return stringifySync(job.rowErrors.map(error => ({
+            row: error.row,
+            sku: error.sku,
+            field: error.field,
+            message: error.message
+        })), { header: true, columns: ['row', 'sku', 'field', 'message'] });
+    }
+
+    async buildExportFilter({ search, category, minPrice, maxPrice, inStock, status }) {
+        const filter = { deletedAt: null };
+
+        if (status) {
+            filter.status = status;
+        }
+
+        if (search) {
+            const searchRegex = new RegExp(escapeRegex(search), 'i');
+            filter.$or = [
+                { name: searchRegex },
+                { sku: searchRegex },
+                { 'variants.sku': searchRegex }
+            ];
+        }
+
+        if (category) {
+            filter.category = await ProductSearchService.buildCategoryFilter(category);
+        }
+
+        if (minPrice || maxPrice) {
+            filter.price = {};
+            if (minPrice) filter.price.$gte = parseFloat(minPrice);
+            if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
+        }
+
+        if (inStock === 'true') {
+            filter.stock = { $gt: 0 };
+        } else if (inStock === 'false') {
+            filter.stock = { $lte: 0 };
+        }
+
+        return filter;
+    }
+
+    // Stream the filtered catalog as CSV in the import format
+    async exportProducts(params, output) {
+        const filter = await this.buildExportFilter(params);
+        const stringifier = stringify({ header: true, columns: CSV_COLUMNS });
+        stringifier.pipe(output);
+
+        const write = async (record) => {
+            const escaped = Object.fromEntries(
+                Object.entries(record).map(([column, value]) => [column, this.escapeCell(value)])
+            );
+            if (!stringifier.write(escaped)) {
+                await once(stringifier, 'drain');
+            }
+        };
+
+        const cursor = Product.find(filter)
+            .populate('category', 'slug')
+            .sort({ createdAt: 1 })
+            .cursor();
+
+        for await (const product of cursor) {
+            await write({
+                sku: product.sku || '',
+                parentSku: '',
+                name: product.name,
+                description: product.description,
+                price: product.price,
+                category: product.category ? product.category.slug : '',
+                stock: product.stock,
+                imageUrl: product.imageUrl,
+                status: product.status,
+                options: this.formatOptions(product.options),
+                attributes: this.formatAttributes(product.attributes)
+            });
+
+            for (const variant of product.variants) {
+                await write({
+                    sku: variant.sku,
+                    parentSku: product.sku || product._id.toString(),
+                    price: variant.price ?? '',
+                    stock: variant.stock,
+                    options: [...variant.options.entries()]
+                        .map(([name, value]) => `${name}=${value}`)
+                        .join(';')
+                });
+            }
+        }
+
+        stringifier.end();
+    }
+}
+
+module.exports = new ProductCsvService();
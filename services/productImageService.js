@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const LocalFileStore = require('./fileStores/localFileStore');
+
+// Pick the file store from FILE_STORE; only "local" ships today
+const createStore = () => {
+    const storeName = process.env.FILE_STORE || 'local';
+
+    if (storeName !== 'local') {
+        throw new Error(`Unknown FILE_STORE "${storeName}"`);
+    }
+    return new LocalFileStore();
+};
+
+// Every upload is re-encoded to WebP in these sizes
+const IMAGE_SIZES = {
+    original: { width: 1600, height: 1600, fit: 'inside' },
+    medium: { width: 600, height: 600, fit: 'inside' },
+    thumbnail: { width: 200, height: 200, fit: 'cover' }
+};
+
+class ProductImageService {
+    constructor(store) {
+        this.store = store;
+    }
+
+    // Resize one uploaded file and store all of its sizes
+    async processUpload(productId, file, alt) {
+        const baseKey = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+        const urls = {};
+        const storageKeys = [];
+        let dimensions = {};
+
+        for (const [size, { width, height, fit }] of Object.entries(IMAGE_SIZES)) {
+            const { data, info } = await sharp(file.buffer)
+                .rotate()
+                .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+                .webp({ quality: 82 })
+                .toBuffer({ resolveWithObject: true });
+
+            const key = `${baseKey}-${size}.webp`;
+            urls[size] = await this.store.put(key, data, 'image/webp');
+            storageKeys.push(key);
+
+            if (size === 'original') {
+                dimensions = { width: info.width, height: info.height };
+            }
+        }
+
+        return {
+            url: urls.original,
+            mediumUrl: urls.medium,
+            thumbnailUrl: urls.thumbnail,
+            alt: alt || '',
+            ...dimensions,
+            storageKeys
+        };
+    }
+
+    // Process several uploads, pairing each file with the alt text at the same index
+    async processUploads(productId, files = [], alts = []) {
+        const images = [];
+        try {
+            for (let i = 0; i < files.length; i++) {
+                images.push(await this.processUpload(productId, files[i], alts[i]));
+            }
+        } catch (error) {
+            // Do not leave half of a batch behind
+            await this.removeImages(images);
+            throw error;
+        }
+        return images;
+    }
+
+    async removeImages(images = []) {
+        const keys = images.flatMap(image => image.storageKeys || []);
+        await Promise.all(keys.map(key => this.store.remove(key)));
+    }
+}
+
+module.exports = new ProductImageService(createStore());
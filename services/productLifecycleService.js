@@ -0,0 +1,74 @@
+const Product = require('../models/Product');
+const SearchSuggestionService = require('./searchSuggestionService');
+
+class ProductLifecycleService {
+    reindex(product) {
+        SearchSuggestionService.indexProduct(product)
+            .catch(indexError => console.error('Error indexing product suggestion:', indexError));
+    }
+
+    // Change status and schedule; a schedule set to null is cleared
+    async setStatus(product, { status, publishAt, unpublishAt }) {
+        if (status !== undefined) product.status = status;
+        if (publishAt !== undefined) product.publishAt = publishAt;
+        if (unpublishAt !== undefined) product.unpublishAt = unpublishAt;
+
+        const updatedProduct = await product.save();
+        this.reindex(updatedProduct);
+        return updatedProduct;
+    }
+
+    async softDelete(product, userId) {
+        product.deletedAt = new Date();
+        product.deletedBy = userId;
+
+        const deletedProduct = await product.save();
+        this.reindex(deletedProduct);
+        return deletedProduct;
+    }
+
+    // Restored products come back as drafts so they are reviewed before going live
+    async restore(product) {
+        product.deletedAt = null;
+        product.deletedBy = undefined;
+        product.status = 'draft';
+
+        const restoredProduct = await product.save();
+        this.reindex(restoredProduct);
+        return restoredProduct;
+    }
+
+    // Publish drafts and archive active products whose scheduled time has passed
+    async applySchedules(now = new Date()) {
+        const due = await Product.find({
+            deletedAt: null,
+            $or: [
+                { status: 'draft', publishAt: { $ne: null, $lte: now } },
+                { status: 'active', unpublishAt: { $ne: null, $lte: now } }
+            ]
+        });
+
+        for (const product of due) {
+            if (product.status === 'draft' && product.publishAt && product.publishAt <= now) {
+                product.status = 'active';
+                product.publishAt = null;
+            }
+
+            if (product.status === 'active' && product.unpublishAt && product.unpublishAt <= now) {
+                product.status = 'archived';
+                product.unpublishAt = null;
+            }
+
+            try {
+                await product.save();
+                this.reindex(product);
+            } catch (error) {
+                console.error(`Error applying schedule to product ${product._id}:`, error);
+            }
+        }
+
+        return due.length;
+    }
+}
+
+module.exports = new ProductLifecycleService();
@@ -0,0 +1,290 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ProductAttributeService = require('./productAttributeService');
+const CurrencyService = require('./currencyService');
+
+// Lower bounds of the price facet buckets in the base currency; the last
+// bucket is open-ended. Shown converted to the requested currency.
+const PRICE_BUCKETS = [0, 25, 50, 100, 200, 500];
+
+// "N stars & up" thresholds for the rating facet
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Units customers can still buy, as Product.getAvailableStock computes
+// them: active variants' stock less their reservations, or the product's own
+const AVAILABLE_STOCK = {
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+        {
+            $sum: {
+                $map: {
+                    input: { $filter: { input: '$variants', as: 'variant', cond: '$$variant.isActive' } },
+                    as: 'variant',
+                    in: { $max: [{ $subtract: ['$$variant.stock', { $ifNull: ['$$variant.reserved', 0] }] }, 0] }
+                }
+            }
+        },
+        { $max: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, 0] }
+    ]
+};
+
+const SORT_OPTIONS = {
+    relevance: { score: -1, createdAt: -1 },
+    price_asc: { effectivePrice: 1, _id: 1 },
+    price_desc: { effectivePrice: -1, _id: 1 },
+    newest: { createdAt: -1, _id: 1 },
+    rating: { averageRating: -1, numReviews: -1, _id: 1 }
+};
+
+const RESULT_FIELDS = {
+    name: 1,
+    price: 1,
+    effectivePrice: 1,
+    // Read by CurrencyService to show prices in the requested currency
+    currencyPrices: 1,
+    // Same as the Product virtuals: the regular price while a sale runs
+    compareAtPrice: { $cond: [{ $ne: [{ $ifNull: ['$salePrice', null] }, null] }, '$price', null] },
+    saleEndsAt: 1,
+    // Same fallback as the Product "image" virtual, which aggregation skips
+    image: { $ifNull: [{ $arrayElemAt: ['$images.mediumUrl', 0] }, '$imageUrl'] },
+    category: 1,
+    attributes: 1,
+    stock: 1,
+    availableStock: AVAILABLE_STOCK,
+    averageRating: 1,
+    numReviews: 1,
+    createdAt: 1
+};
+
+class ProductSearchService {
+    // Neutralize $text operators: quotes start phrases and a leading "-" negates
+    sanitizeQuery(query) {
+        return String(query || '')
+            .slice(0, 100)
+            .replace(/["\\]/g, ' ')
+            .replace(/(^|\s)-+/g, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    parseNumber(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // Match a category (by ID or slug) and all of its descendants
+    async buildCategoryFilter(categoryParam) {
+        const category = await Category.findByIdOrSlug(categoryParam);
+        if (!category) {
+            return { $in: [] };
+        }
+
+        return { $in: await Category.getDescendantIds(category._id) };
+    }
+
+    // Build one $match per filter so each facet can leave its own filter out.
+    // Price bounds are in the requested currency and converted to the base
+    // currency catalog prices are stored in; currency price overrides are
+    // not considered, and neither are they when sorting by price.
+    async buildFilters({ category, minPrice, maxPrice, minRating, inStock, currency }, attributeFilters = {}) {
+        const ctx = currency || CurrencyService.getBaseContext();
+        const filters = {};
+
+        if (category) {
+            filters.category = { category: await this.buildCategoryFilter(category) };
+        }
+
+        const min = this.parseNumber(minPrice);
+        const max = this.parseNumber(maxPrice);
+        if (min !== null || max !== null) {
+            filters.price = { effectivePrice: {} };
+            if (min !== null) filters.price.effectivePrice.$gte = CurrencyService.toBase(min, ctx);
+            if (max !== null) filters.price.effectivePrice.$lte = CurrencyService.toBase(max, ctx);
+        }
+
+        const rating = this.parseNumber(minRating);
+        if (rating !== null) {
+            filters.rating = { averageRating: { $gte: rating } };
+        }
+
+        if (inStock === 'true') {
+            filters.inStock = { $expr: { $gt: [AVAILABLE_STOCK, 0] } };
+        } else if (inStock === 'false') {
+            filters.inStock = { $expr: { $lte: [AVAILABLE_STOCK, 0] } };
+        }
+
+        Object.entries(attributeFilters).forEach(([key, condition]) => {
+            filters[`attribute:${key}`] = condition;
+        });
+
+        return filters;
+    }
+
+    combineFilters(filters, exclude) {
+        const stages = Object.entries(filters)
+            .filter(([name]) => name !== exclude)
+            .map(([, condition]) => condition);
+
+        return stages.length > 0 ? { $and: stages } : {};
+    }
+
+    // Ranked, filtered search with facet counts in a single aggregation
+    async search(params) {
+        const query = this.sanitizeQuery(params.query);
+        const page = Math.max(parseInt(params.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(params.limit) || 12, 1), 50);
+
+        let sortKey = SORT_OPTIONS[params.sort] ? params.sort : (query ? 'relevance' : 'newest');
+        if (sortKey === 'relevance' && !query) {
+            sortKey = 'newest';
+        }
+
+        // Attribute filters such as "ram>=16", typed by the definitions of
+        // the categories being searched
+        const definitions = await ProductAttributeService.getDefinitionsInScope(params.category);
+        const attributeFilters = params.attr
+            ? ProductAttributeService.parseFilters(params.attr, definitions)
+            : {};
+
+        const filters = await this.buildFilters(params, attributeFilters);
+
+        const pipeline = [];
+
+        // $text has to be in the first stage
+        if (query) {
+            pipeline.push({ $match: { $text: { $search: query }, ...Product.visibleFilter() } });
+            pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+        } else {
+            pipeline.push({ $match: Product.visibleFilter() });
+        }
+
+        const projection = query ? { ...RESULT_FIELDS, score: 1 } : RESULT_FIELDS;
+
+        pipeline.push({
+            $facet: {
+                results: [
+                    { $match: this.combineFilters(filters) },
+                    { $sort: SORT_OPTIONS[sortKey] },
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $project: projection }
+                ],
+                total: [
+                    { $match: this.combineFilters(filters) },
+                    { $count: 'count' }
+                ],
+                categories: [
+                    { $match: this.combineFilters(filters, 'category') },
+                    { $group: { _id: '$category', count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ],
+                price: [
+                    { $match: this.combineFilters(filters, 'price') },
+                    {
+                        $bucket: {
+                            groupBy: '$effectivePrice',
+                            boundaries: PRICE_BUCKETS,
+                            default: 'above',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ],
+                rating: [
+                    { $match: this.combineFilters(filters, 'rating') },
+                    {
+                        $group: RATING_THRESHOLDS.reduce((group, threshold) => ({
+                            ...group,
+                            [`atLeast${threshold}`]: {
+                                $sum: { $cond: [{ $gte: ['$averageRating', threshold] }, 1, 0] }
+                            }
+                        }), { _id: null })
+                    }
+                ],
+                availability: [
+                    { $match: this.combineFilters(filters, 'inStock') },
+                    {
+                        $group: {
+                            _id: null,
+                            inStock: { $sum: { $cond: [{ $gt: [AVAILABLE_STOCK, 0] }, 1, 0] } },
+                            outOfStock: { $sum: { $cond: [{ $gt: [AVAILABLE_STOCK, 0] }, 0, 1] } }
+                        }
+                    }
+                ],
+                ...ProductAttributeService.buildFacetPipelines(
+                    definitions,
+                    Object.keys(attributeFilters),
+                    (key) => this.combineFilters(filters, key && `attribute:${key}`)
+                )
+            }
+        });
+
+        const [result] = await Product.aggregate(pipeline);
+
+        await Product.populate(result.results, { path: 'category', select: 'name slug' });
+        const categoryFacet = await this.formatCategoryFacet(result.categories);
+
+        const totalResults = result.total.length > 0 ? result.total[0].count : 0;
+        const ratingCounts = result.rating[0] || {};
+        const availability = result.availability[0] || { inStock: 0, outOfStock: 0 };
+
+        return {
+            products: result.results,
+            totalResults,
+            currentPage: page,
+            totalPages: Math.ceil(totalResults / limit),
+            sort: sortKey,
+            facets: {
+                categories: categoryFacet,
+                price: this.formatPriceFacet(result.price, params.currency || CurrencyService.getBaseContext()),
+                rating: RATING_THRESHOLDS.map(threshold => ({
+                    minRating: threshold,
+                    count: ratingCounts[`atLeast${threshold}`] || 0
+                })),
+                availability: {
+                    inStock: availability.inStock,
+                    outOfStock: availability.outOfStock
+                },
+                attributes: ProductAttributeService.formatFacets(result, definitions)
+            }
+        };
+    }
+
+    async formatCategoryFacet(buckets) {
+        const categories = await Category.find({ _id: { $in: buckets.map(bucket => bucket._id) } })
+            .select('name slug');
+        const byId = new Map(categories.map(category => [category._id.toString(), category]));
+
+        return buckets
+            .filter(bucket => bucket._id && byId.has(bucket._id.toString()))
+            .map(bucket => {
+                const category = byId.get(bucket._id.toString());
+                return {
+                    _id: category._id,
+                    name: category.name,
+                    slug: category.slug,
+                    count: bucket.count
+                };
+            });
+    }
+
+    // Bucket edges in the requested currency, so they can be sent back as
+    // minPrice and maxPrice
+    formatPriceFacet(buckets, ctx) {
+        const edge = (index) => PRICE_BUCKETS[index] !== undefined
+            ? CurrencyService.convert(PRICE_BUCKETS[index], ctx)
+            : null;
+
+        return buckets.map(bucket => {
+            const index = bucket._id === 'above'
+                ? PRICE_BUCKETS.length - 1
+                : PRICE_BUCKETS.indexOf(bucket._id);
+            return {
+                min: edge(index),
+                max: bucket._id === 'above' ? null : edge(index + 1),
+                count: bucket.count
+            };
+        });
+    }
+}
+
+module.exports = new ProductSearchService();
@@ -0,0 +1,346 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ProductRecommendation = require('../models/ProductRecommendation');
+
+// Orders that never completed say nothing about what sells together
+const EXCLUDED_ORDER_STATUSES = ['Cancelled', 'Refunded'];
+
+// Recommendations kept per product and list
+const MAX_RECOMMENDATIONS = 12;
+
+// Similarity weights; only products in the same category or its parent
+// category are compared
+const CATEGORY_WEIGHT = 0.7;
+const PRICE_WEIGHT = 0.3;
+
+// Products compared per product and category, nearest in price first, so
+// the job grows linearly with the catalog rather than with its square
+const SIMILAR_CANDIDATES = 50;
+
+// Products costing under a quarter or over four times as much are not similar
+const PRICE_BAND = 0.25;
+
+const BEST_SELLER_COUNT = 50;
+
+const LISTING_FIELDS = 'name price salePrice saleEndsAt effectivePrice currencyPrices images imageUrl category averageRating numReviews stock reserved variants';
+
+const topByScore = (entries) => entries
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RECOMMENDATIONS);
+
+class RecommendationService {
+    constructor() {
+        this.windowDays = parseInt(process.env.RECOMMENDATION_WINDOW_DAYS) || 180;
+        // Pairs bought together fewer times than this are treated as noise
+        this.minCoPurchases = parseInt(process.env.RECOMMENDATION_MIN_CO_PURCHASES) || 2;
+        this.bestSellers = null;
+    }
+
+    getOrderFilter() {
+        return {
+            status: { $nin: EXCLUDED_ORDER_STATUSES },
+            createdAt: { $gte: new Date(Date.now() - this.windowDays * 24 * 60 * 60 * 1000) }
+        };
+    }
+
+    // Co-purchase pairs scored by cosine similarity: orders with both
+    // products over the square root of each product's order count
+    async mineCoPurchases() {
+        const [pairs, counts] = await Promise.all([
+            Order.aggregate([
+                { $match: this.getOrderFilter() },
+                { $project: { products: { $setUnion: ['$orderItems.product', []] } } },
+                { $match: { 'products.1': { $exists: true } } },
+                { $project: { a: '$products', b: '$products' } },
+                { $unwind: '$a' },
+                { $unwind: '$b' },
+                { $match: { $expr: { $lt: ['$a', '$b'] } } },
+                { $group: { _id: { a: '$a', b: '$b' }, orders: { $sum: 1 } } },
+                { $match: { orders: { $gte: this.minCoPurchases } } }
+            ]).allowDiskUse(true),
+            Order.aggregate([
+                { $match: this.getOrderFilter() },
+                { $project: { products: { $setUnion: ['$orderItems.product', []] } } },
+                { $unwind: '$products' },
+                { $group: { _id: '$products', orders: { $sum: 1 } } }
+            ]).allowDiskUse(true)
+        ]);
+
+        const orderCounts = new Map(counts.map(entry => [entry._id.toString(), entry.orders]));
+        const together = new Map();
+
+        const add = (productId, otherId, orders, score) => {
+            const key = productId.toString();
+            if (!together.has(key)) together.set(key, []);
+            together.get(key).push({ product: otherId, orders, score });
+        };
+
+        pairs.forEach(({ _id: { a, b }, orders }) => {
+            const score = orders / Math.sqrt(orderCounts.get(a.toString()) * orderCounts.get(b.toString()));
+            add(a, b, orders, score);
+            add(b, a, orders, score);
+        });
+
+        return together;
+    }
+
+    // 1 for the same category, otherwise the share of the category path
+    // two products have in common, e.g. 0.5 for sibling subcategories
+    categoryScore(pathA, pathB) {
+        if (pathA.join('/') === pathB.join('/')) {
+            return 1;
+        }
+
+        let shared = 0;
+        while (shared < pathA.length && shared < pathB.length && pathA[shared] === pathB[shared]) {
+            shared += 1;
+        }
+        return shared / Math.max(pathA.length, pathB.length);
+    }
+
+    // 1 for equal prices, falling towards 0 as one is a multiple of the other
+    priceScore(priceA, priceB) {
+        const high = Math.max(priceA, priceB);
+        return high > 0 ? Math.min(priceA, priceB) / high : 1;
+    }
+
+    // Up to limit products of a price-sorted group closest in price to the
+    // one at index, within the price band
+    nearestByPrice(group, index, limit) {
+        const product = group[index];
+        const inBand = (other) => other && this.priceScore(product.price, other.price) >= PRICE_BAND;
+        const nearest = [];
+        let below = index - 1;
+        let above = index + 1;
+
+        while (nearest.length < limit) {
+            const lower = inBand(group[below]) ? group[below] : null;
+            const upper = inBand(group[above]) ? group[above] : null;
+            if (!lower && !upper) break;
+
+            if (!upper || (lower && product.price - lower.price <= upper.price - product.price)) {
+                nearest.push(lower);
+                below -= 1;
+            } else {
+                nearest.push(upper);
+                above += 1;
+            }
+        }
+
+        return nearest;
+    }
+
+    // Score each visible product against the products closest in price in
+    // its own category and in its parent category
+    scoreSimilarity(products) {
+        const groups = new Map();
+        const addToGroup = (path, product) => {
+            const key = path.join('/');
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(product);
+        };
+
+        products.forEach(product => {
+            if (!product.path.length) return;
+            addToGroup(product.path, product);
+            if (product.path.length > 1) {
+                addToGroup(product.path.slice(0, -1), product);
+            }
+        });
+
+        const candidates = new Map();
+        groups.forEach(group => {
+            group.sort((a, b) => a.price - b.price);
+            group.forEach((product, index) => {
+                const key = product._id.toString();
+                if (!candidates.has(key)) candidates.set(key, { product, others: new Map() });
+                this.nearestByPrice(group, index, SIMILAR_CANDIDATES)
+                    .forEach(other => candidates.get(key).others.set(other._id.toString(), other));
+            });
+        });
+
+        const similar = new Map();
+        candidates.forEach(({ product, others }, key) => {
+            const scored = [...others.values()].map(other => ({
+                product: other._id,
+                score: CATEGORY_WEIGHT * this.categoryScore(product.path, other.path) +
+                    PRICE_WEIGHT * this.priceScore(product.price, other.price)
+            }));
+            similar.set(key, topByScore(scored));
+        });
+
+        return similar;
+    }
+
+    // Rebuild all recommendations; run periodically by the scheduler
+    async recompute() {
+        const computedAt = new Date();
+
+        const products = await Product.find(Product.visibleFilter())
+            .select('price category')
+            .populate('category', 'path');
+
+        const catalog = products.map(product => ({
+            _id: product._id,
+            price: product.price,
+            path: product.category && product.category.path
+                ? product.category.path.split('/').filter(Boolean)
+                : []
+        }));
+        const visibleIds = new Set(catalog.map(product => product._id.toString()));
+
+        const together = await this.mineCoPurchases();
+        const similar = this.scoreSimilarity(catalog);
+
+        const operations = catalog.map(product => {
+            const key = product._id.toString();
+            const boughtTogether = (together.get(key) || [])
+                .filter(entry => visibleIds.has(entry.product.toString()));
+
+            return {
+                replaceOne: {
+                    filter: { product: product._id },
+                    replacement: {
+                        product: product._id,
+                        boughtTogether: topByScore(boughtTogether),
+                        similar: similar.get(key) || [],
+                        computedAt
+                    },
+                    upsert: true
+                }
+            };
+        });
+
+        if (operations.length > 0) {
+            await ProductRecommendation.bulkWrite(operations, { ordered: false });
+        }
+
+        // Products that are no longer visible lose their recommendations
+        const { deletedCount } = await ProductRecommendation.deleteMany({ computedAt: { $lt: computedAt } });
+
+        await this.refreshBestSellers();
+
+        return { products: operations.length, removed: deletedCount };
+    }
+
+    // Most sold products by units over the recommendation window
+    async refreshBestSellers() {
+        const sales = await Order.aggregate([
+            { $match: this.getOrderFilter() },
+            { $unwind: '$orderItems' },
+            { $group: { _id: '$orderItems.product', units: { $sum: '$orderItems.quantity' } } },
+            { $sort: { units: -1 } },
+            { $limit: BEST_SELLER_COUNT * 2 }
+        ]);
+
+        const visible = await Product.find({
+            _id: { $in: sales.map(entry => entry._id) },
+            ...Product.visibleFilter()
+        }).select('_id');
+        const visibleIds = new Set(visible.map(product => product._id.toString()));
+
+        this.bestSellers = {
+            ids: sales
+                .map(entry => entry._id)
+                .filter(id => visibleIds.has(id.toString()))
+                .slice(0, BEST_SELLER_COUNT),
+            computedAt: new Date()
+        };
+
+        return this.bestSellers.ids;
+    }
+
+    async getBestSellerIds() {
+        // Computed on first use when the process started after the last job run
+        if (!this.bestSellers) {
+            await this.refreshBestSellers();
+        }
+        return this.bestSellers.ids;
+    }
+
+    // Load visible, in-stock products keeping the order of the IDs
+    async loadProducts(ids, limit) {
+        if (ids.length === 0 || limit <= 0) {
+            return [];
+        }
+
+        const products = await Product.find({
+            _id: { $in: ids },
+            ...Product.visibleFilter(),
+            stock: { $gt: 0 }
+        }).select(LISTING_FIELDS);
+
+        const byId = new Map(products.map(product => [product._id.toString(), product]));
+        return ids
+            .map(id => byId.get(id.toString()))
+            .filter(Boolean)
+            .slice(0, limit);
+    }
+
+    // Top up a list with best-sellers that are not shown yet
+    async fillWithBestSellers(products, exclude, limit) {
+        if (products.length >= limit) {
+            return { products, fallback: false };
+        }
+
+        const shown = new Set([...exclude, ...products.map(product => product._id)].map(String));
+        const ids = (await this.getBestSellerIds()).filter(id => !shown.has(id.toString()));
+        const extra = await this.loadProducts(ids, limit - products.length);
+
+        return { products: [...products, ...extra], fallback: extra.length > 0 };
+    }
+
+    // Frequently-bought-together and related products for a product page
+    async getRelated(productId, limit) {
+        const recommendation = await ProductRecommendation.findOne({ product: productId });
+
+        const boughtTogether = await this.loadProducts(
+            recommendation ? recommendation.boughtTogether.map(entry => entry.product) : [],
+            limit
+        );
+
+        const shownIds = [productId, ...boughtTogether.map(product => product._id)].map(String);
+        const similar = await this.loadProducts(
+            recommendation
+                ? recommendation.similar.map(entry => entry.product).filter(id => !shownIds.includes(id.toString()))
+                : [],
+            limit
+        );
+
+        const related = await this.fillWithBestSellers(similar, shownIds, limit);
+
+        return {
+            frequentlyBoughtTogether: boughtTogether,
+            related: related.products,
+            fallback: related.fallback
+        };
+    }
+
+    // Recommendations for everything in a cart: co-purchases weigh most,
+    // similar products count half
+    async getForCart(productIds, limit) {
+        const inCart = new Set(productIds.map(String));
+        const recommendations = await ProductRecommendation.find({ product: { $in: productIds } });
+
+        const scores = new Map();
+        const addScore = (id, score) => {
+            const key = id.toString();
+            if (inCart.has(key)) return;
+            scores.set(key, (scores.get(key) || 0) + score);
+        };
+
+        recommendations.forEach(recommendation => {
+            recommendation.boughtTogether.forEach(entry => addScore(entry.product, entry.score));
+            recommendation.similar.forEach(entry => addScore(entry.product, entry.score / 2));
+        });
+
+        const ranked = [...scores.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([id]) => id);
+
+        const products = await this.loadProducts(ranked, limit);
+        return this.fillWithBestSellers(products, [...inCart], limit);
+    }
+}
+
+module.exports = new RecommendationService();
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+const EMPTY_HISTOGRAM = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+
+class ReviewService {
+    // A purchase counts once the order containing the product was delivered
+    async isVerifiedPurchase(userId, productId) {
+        const order = await Order.exists({
+            user: userId,
+            'orderItems.product': productId,
+            isDelivered: true
+        });
+        return Boolean(order);
+    }
+
+    // Recompute average, count and per-star histogram from approved reviews
+    async updateProductRating(productId) {
+        const buckets = await Review.aggregate([
+            {
+                $match: {
+                    product: new mongoose.Types.ObjectId(productId),
+                    status: 'approved'
+                }
+            },
+            { $group: { _id: { $round: ['$rating', 0] }, count: { $sum: 1 }, total: { $sum: '$rating' } } }
+        ]);
+
+        const histogram = { ...EMPTY_HISTOGRAM };
+        let numReviews = 0;
+        let total = 0;
+
+        buckets.forEach(bucket => {
+            const stars = Math.min(Math.max(bucket._id, 1), 5);
+            histogram[stars] += bucket.count;
+            numReviews += bucket.count;
+            total += bucket.total;
+        });
+
+        const averageRating = numReviews > 0 ? Math.round((total / numReviews) * 10) / 10 : 0;
+
+        await Product.updateOne(
+            { _id: productId },
+            { averageRating, numReviews, ratingHistogram: histogram }
+        );
+
+        return { averageRating, numReviews, ratingHistogram: histogram };
+    }
+
+    counterField(helpful) {
+        return helpful ? 'helpfulCount' : 'unhelpfulCount';
+    }
+
+    // Record or change a user's vote; single atomic updates keep the counters exact
+    async vote(reviewId, userId, helpful) {
+        const added = await Review.updateOne(
+            { _id: reviewId, 'votes.user': { $ne: userId } },
+            {
+                $push: { votes: { user: userId, helpful } },
+                $inc: { [this.counterField(helpful)]: 1 }
+            }
+        );
+
+        if (added.modifiedCount === 0) {
+            await Review.updateOne(
+                { _id: reviewId, votes: { $elemMatch: { user: userId, helpful: !helpful } } },
+                {
+                    $set: { 'votes.$.helpful': helpful },
+                    $inc: { [this.counterField(helpful)]: 1, [this.counterField(!helpful)]: -1 }
+                }
+            );
+        }
+
+        return Review.findById(reviewId);
+    }
+
+    async removeVote(reviewId, userId) {
+        for (const helpful of [true, false]) {
+            const removed = await Review.updateOne(
+                { _id: reviewId, votes: { $elemMatch: { user: userId, helpful } } },
+                {
+                    $pull: { votes: { user: userId } },
+                    $inc: { [this.counterField(helpful)]: -1 }
+                }
+            );
+            if (removed.modifiedCount > 0) break;
+        }
+
+        return Review.findById(reviewId);
+    }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,59 @@
+// Runs recurring background tasks inside the API process. A task never
+// overlaps with itself: if a run takes longer than its interval, the next
+// tick is skipped.
+class SchedulerService {
+    constructor() {
+        this.tasks = new Map();
+        this.started = false;
+    }
+
+    register(name, intervalMs, run) {
+        if (this.tasks.has(name)) {
+            throw new Error(`Task ${name} is already registered`);
+        }
+
+        const task = { name, intervalMs, run, timer: null, running: false };
+        this.tasks.set(name, task);
+
+        if (this.started) {
+            this.schedule(task);
+        }
+    }
+
+    async runTask(task) {
+        if (task.running) {
+            return;
+        }
+
+        task.running = true;
+        try {
+            await task.run();
+        } catch (error) {
+            console.error(`Scheduled task ${task.name} failed:`, error);
+        } finally {
+            task.running = false;
+        }
+    }
+
+    schedule(task) {
+        task.timer = setInterval(() => this.runTask(task), task.intervalMs);
+        // Background work should not keep the process alive on shutdown
+        task.timer.unref();
+    }
+
+    start() {
+        if (this.started || process.env.SCHEDULER_ENABLED === 'false') {
+            return;
+        }
+
+        this.started = true;
+        this.tasks.forEach(task => this.schedule(task));
+    }
+
+    stop() {
+        this.tasks.forEach(task => clearInterval(task.timer));
+        this.started = false;
+    }
+}
+
+module.exports = new SchedulerService();
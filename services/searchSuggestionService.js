@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const SearchSuggestion = require('../models/SearchSuggestion');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const escapeRegex = require('../utils/escapeRegex');
+
+const MAX_QUERY_LENGTH = 60;
+
+// Suggestions returned per type
+const TYPE_LIMITS = {
+    product: 6,
+    category: 3,
+    query: 4
+};
+
+// Upper bound on suggestions scored in memory per lookup
+const CANDIDATE_LIMIT = 300;
+
+class SearchSuggestionService {
+    constructor() {
+        // A query is only suggested to others once this many different
+        // shoppers searched for it, so one person cannot plant suggestions
+        this.minQuerySearchers = parseInt(process.env.SEARCH_SUGGESTION_MIN_SEARCHERS) || 3;
+        // Queries not searched for this long are pruned unless popular
+        this.queryRetentionDays = parseInt(process.env.SEARCH_SUGGESTION_RETENTION_DAYS) || 90;
+    }
+
+    // Product and category suggestions, and queries enough shoppers searched for
+    getServableFilter() {
+        return {
+            $or: [
+                { type: { $ne: 'query' } },
+                { [`searchers.${this.minQuerySearchers - 1}`]: { $exists: true } }
+            ]
+        };
+    }
+
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .slice(0, MAX_QUERY_LENGTH);
+    }
+
+    tokenize(normalized) {
+        return normalized.split(' ').filter(Boolean);
+    }
+
+    // Typos allowed for a token; short tokens must match exactly
+    maxDistance(token) {
+        if (token.length <= 3) return 0;
+        if (token.length <= 6) return 1;
+        return 2;
+    }
+
+    // Optimal string alignment distance: edits plus adjacent swaps ("iphnoe" -> "iphone" is 1)
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        let previousRowMin = 0;
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    row[j] + 1,
+                    nextRow[j - 1] + 1,
+                    row[j - 1] + cost
+                );
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+
+            // A swap can reach back two rows, so stop only once both are out of range
+            if (rowMin > max && previousRowMin > max) {
+                return max + 1;
+            }
+            previousRowMin = rowMin;
+
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    // Distance from a query token to a suggestion token, or null when too far.
+    // The last query token is still being typed, so it may match a prefix.
+    matchToken(queryToken, token, isPrefix) {
+        if (token === queryToken || (isPrefix && token.startsWith(queryToken))) {
+            return 0;
+        }
+
+        const max = this.maxDistance(queryToken);
+        if (max === 0) {
+            return null;
+        }
+
+        let distance = this.editDistance(queryToken, token, max);
+        if (isPrefix) {
+            [queryToken.length - 1, queryToken.length, queryToken.length + 1].forEach(length => {
+                if (length > 0 && length < token.length) {
+                    distance = Math.min(distance, this.editDistance(queryToken, token.slice(0, length), max));
+                }
+            });
+        }
+
+        return distance <= max ? distance : null;
+    }
+
+    // Every query token has to match some suggestion token; returns total distance or null
+    scoreSuggestion(queryTokens, suggestion) {
+        let total = 0;
+
+        for (let i = 0; i < queryTokens.length; i++) {
+            const isPrefix = i === queryTokens.length - 1;
+            let best = null;
+
+            for (const token of suggestion.tokens) {
+                const distance = this.matchToken(queryTokens[i], token, isPrefix);
+                if (distance !== null && (best === null || distance < best)) {
+                    best = distance;
+                    if (best === 0) break;
+                }
+            }
+
+            if (best === null) {
+                return null;
+            }
+            total += best;
+        }
+
+        return total;
+    }
+
+    async findCandidates(queryTokens) {
+        const lastToken = queryTokens[queryTokens.length - 1];
+        const longestToken = queryTokens.reduce((longest, token) => (
+            token.length > longest.length ? token : longest
+        ), '');
+
+        // Exact prefixes first, then anything sharing the first letter of the
+        // longest token so that typos further into the word are still found
+        const [prefixMatches, fuzzyMatches] = await Promise.all([
+            SearchSuggestion.find({ tokens: { $regex: `^${escapeRegex(lastToken)}` }, ...this.getServableFilter() })
+                .sort({ weight: -1 })
+                .limit(CANDIDATE_LIMIT)
+                .lean(),
+            SearchSuggestion.find({ tokens: { $regex: `^${escapeRegex(longestToken[0])}` }, ...this.getServableFilter() })
+                .sort({ weight: -1 })
+                .limit(CANDIDATE_LIMIT)
+                .lean()
+        ]);
+
+        const candidates = new Map();
+        [...prefixMatches, ...fuzzyMatches].forEach(suggestion => {
+            candidates.set(suggestion.key, suggestion);
+        });
+
+        return [...candidates.values()];
+    }
+
+    // Product, category and popular-query suggestions for a partial query
+    async autocomplete(query, { limit } = {}) {
+        const queryTokens = this.tokenize(this.normalize(query));
+        const grouped = { products: [], categories: [], queries: [] };
+
+        if (queryTokens.length === 0) {
+            return grouped;
+        }
+
+        const limits = {
+            ...TYPE_LIMITS,
+            product: Math.min(parseInt(limit) || TYPE_LIMITS.product, 20)
+        };
+
+        const ranked = (await this.findCandidates(queryTokens))
+            .map(suggestion => ({
+                suggestion,
+                distance: this.scoreSuggestion(queryTokens, suggestion)
+            }))
+            .filter(match => match.distance !== null)
+            .sort((a, b) => a.distance - b.distance || b.suggestion.weight - a.suggestion.weight);
+
+        const groupNames = { product: 'products', category: 'categories', query: 'queries' };
+
+        ranked.forEach(({ suggestion, distance }) => {
+            const group = grouped[groupNames[suggestion.type]];
+            if (group.length >= limits[suggestion.type]) {
+                return;
+            }
+
+            group.push({
+                text: suggestion.text,
+                ...(suggestion.ref && { _id: suggestion.ref }),
+                ...(suggestion.slug && { slug: suggestion.slug }),
+                fuzzy: distance > 0
+            });
+        });
+
+        return grouped;
+    }
+
+    async upsertSuggestion(key, fields) {
+        const normalized = this.normalize(fields.text);
+
+        return SearchSuggestion.findOneAndUpdate(
+            { key },
+            { ...fields, normalized, tokens: this.tokenize(normalized) },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    // Only products visible in the storefront are suggested
+    async indexProduct(product) {
+        if (!product.isVisible()) {
+            return this.removeProduct(product._id);
+        }
+
+        return this.upsertSuggestion(`product:${product._id}`, {
+            type: 'product',
+            text: product.name,
+            ref: product._id,
+            weight: 1
+        });
+    }
+
+    async removeProduct(productId) {
+        return SearchSuggestion.deleteOne({ key: `product:${productId}` });
+    }
+
+    // Inactive categories are hidden from the storefront, so drop their suggestion
+    async indexCategory(category) {
+        if (!category.isActive) {
+            return this.removeCategory(category._id);
+        }
+
+        return this.upsertSuggestion(`category:${category._id}`, {
+            type: 'category',
+            text: category.name,
+            ref: category._id,
+            slug: category.slug,
+            weight: 2
+        });
+    }
+
+    async removeCategory(categoryId) {
+        return SearchSuggestion.deleteOne({ key: `category:${categoryId}` });
+    }
+
+    // Count a submitted search by a shopper (user ID or IP address). Only
+    // searches that found something are kept, and hashes of the first
+    // searchers are stored so a query is suggested once enough differ.
+    async recordQuery(query, resultCount, searcher) {
+        const normalized = this.normalize(query);
+        if (normalized.length < 2 || resultCount === 0 || !searcher) {
+            return null;
+        }
+
+        const searcherHash = crypto.createHash('sha256').update(String(searcher)).digest('hex');
+        const searchers = { $ifNull: ['$searchers', []] };
+
+        return SearchSuggestion.findOneAndUpdate(
+            { key: `query:${normalized}` },
+            [{
+                $set: {
+                    type: 'query',
+                    text: normalized,
+                    normalized,
+                    tokens: this.tokenize(normalized),
+                    lastSearchedAt: new Date(),
+                    weight: { $add: [{ $ifNull: ['$weight', 0] }, 1] },
+                    searchers: {
+                        $cond: [
+                            { $gte: [{ $size: searchers }, this.minQuerySearchers] },
+                            searchers,
+                            { $setUnion: [searchers, [searcherHash]] }
+                        ]
+                    }
+                }
+            }],
+            { upsert: true, new: true }
+        );
+    }
+
+    // Drop queries nobody searched for lately, unless they are popular
+    // enough to be suggested
+    async pruneQueries() {
+        const { deletedCount } = await SearchSuggestion.deleteMany({
+            type: 'query',
+            lastSearchedAt: { $lt: new Date(Date.now() - this.queryRetentionDays * 24 * 60 * 60 * 1000) },
+            [`searchers.${this.minQuerySearchers - 1}`]: { $exists: false }
+        });
+        return deletedCount;
+    }
+
+    // Rebuild product and category suggestions from scratch; popular queries are kept
+    async rebuild() {
+        const indexedKeys = [];
+
+        for await (const product of Product.find(Product.visibleFilter()).select('name status deletedAt').cursor()) {
+            await this.indexProduct(product);
+            indexedKeys.push(`product:${product._id}`);
+        }
+
+        for await (const category of Category.find({ isActive: true }).select('name slug isActive').cursor()) {
+            await this.indexCategory(category);
+            indexedKeys.push(`category:${category._id}`);
+        }
+
+        const { deletedCount } = await SearchSuggestion.deleteMany({
+            type: { $in: ['product', 'category'] },
+            key: { $nin: indexedKeys }
+        });
+
+        return { indexed: indexedKeys.length, removed: deletedCount };
+    }
+}
+
+module.exports = new SearchSuggestionService();
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorMiddleware');
+
+class SessionService {
+    constructor() {
+        this.accessTokenExpiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+        this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    }
+
+    // Refresh tokens are only ever stored as SHA-256 hashes
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    generateRefreshToken() {
+        return crypto.randomBytes(48).toString('hex');
+    }
+
+    getRefreshExpiry() {
+        return new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+    }
+
+    // Sign a short-lived access token bound to a session
+    generateAccessToken(userId, sessionId) {
+        return jwt.sign(
+            { id: userId, sid: sessionId },
+            process.env.JWT_SECRET,
+            { expiresIn: this.accessTokenExpiresIn }
+        );
+    }
+
+    // Open a new session and issue its first token pair
+    async createSession(user, req = {}) {
+        const refreshToken = this.generateRefreshToken();
+
+        const session = await Session.create({
+            user: user._id,
+            refreshTokenHash: this.hashToken(refreshToken),
+            userAgent: (req.headers && req.headers['user-agent']) || '',
+            ip: req.ip || '',
+            expiresAt: this.getRefreshExpiry()
+        });
+
+        return {
+            session,
+            token: this.generateAccessToken(user._id, session._id),
+            refreshToken
+        };
+    }
+
+    // Exchange a refresh token for a new token pair, invalidating the old one.
+    // The swap is a single conditional update, so of two concurrent refreshes
+    // with the same token only one succeeds; the other is treated as reuse.
+    async rotateRefreshToken(refreshToken, req = {}) {
+        const tokenHash = this.hashToken(refreshToken);
+        const newRefreshToken = this.generateRefreshToken();
+        const now = new Date();
+
+        const update = {
+            previousTokenHash: tokenHash,
+            refreshTokenHash: this.hashToken(newRefreshToken),
+            lastUsedAt: now,
+            expiresAt: this.getRefreshExpiry()
+        };
+        if (req.ip) update.ip = req.ip;
+
+        const session = await Session.findOneAndUpdate(
+            { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+            update,
+            { new: true }
+        );
+
+        if (!session) {
+            // A rotated-out token being replayed means it was leaked
+            const reused = await Session.findOne({ previousTokenHash: tokenHash });
+            if (reused) {
+                await this.revokeSession(reused._id, 'Refresh token reuse detected');
+            }
+            return null;
+        }
+
+        return {
+            session,
+            token: this.generateAccessToken(session.user, session._id),
+            refreshToken: newRefreshToken
+        };
+    }
+
+    async revokeSession(sessionId, reason = 'Logged out') {
+        return Session.findOneAndUpdate(
+            { _id: sessionId, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: reason },
+            { new: true }
+        );
+    }
+
+    // Revoke every active session of a user, optionally keeping one alive
+    async revokeAllSessions(userId, { exceptSessionId, reason = 'Logged out of all devices' } = {}) {
+        const filter = { user: userId, revokedAt: null };
+        if (exceptSessionId) {
+            filter._id = { $ne: exceptSessionId };
+        }
+
+        const result = await Session.updateMany(filter, {
+            revokedAt: new Date(),
+            revokedReason: reason
+        });
+
+        return result.modifiedCount;
+    }
+
+    // Resolve an access token to its user and active session, or throw
+    async verifyAccessToken(token) {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (!decoded.sid) {
+            throw new Error('Token is not bound to a session');
+        }
+
+        const session = await Session.findById(decoded.sid);
+        if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+            throw new Error('Session has been revoked');
+        }
+
+        const user = await User.findById(decoded.id).select('-password');
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (user.suspendedAt) {
+            throw new AppError('Your account has been suspended', 403);
+        }
+
+        return { user, session };
+    }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,83 @@
+const StockSubscription = require('../models/StockSubscription');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const { PERMISSIONS, getRolesWithPermission } = require('../config/roles');
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Reacts to stock movements: tells subscribers when a sold-out line is back
+// and alerts inventory staff when a line runs low
+class StockAlertService {
+    constructor() {
+        const threshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+        this.defaultLowStockThreshold = Number.isNaN(threshold) ? DEFAULT_LOW_STOCK_THRESHOLD : threshold;
+    }
+
+    getLowStockThreshold(product) {
+        return product.lowStockThreshold ?? this.defaultLowStockThreshold;
+    }
+
+    // Called by InventoryService after a product or variant stock changed
+    async handleStockChange({ product, variant = null, before, after }) {
+        if (before <= 0 && after > 0) {
+            await this.notifyBackInStock(product, variant);
+        }
+
+        // Alert once when the line crosses the threshold, not on every sale below it
+        const threshold = this.getLowStockThreshold(product);
+        if (threshold > 0 && before > threshold && after <= threshold) {
+            await this.alertLowStock(product, variant, after, threshold);
+        }
+    }
+
+    async notifyBackInStock(product, variant) {
+        // Subscriptions wait until the product can actually be bought
+        if (!product.isVisible() || (variant && !variant.isActive)) {
+            return 0;
+        }
+
+        const subscriptions = await StockSubscription.find({
+            product: product._id,
+            variant: variant ? { $in: [variant._id, null] } : null,
+            notifiedAt: null
+        }).populate('user', 'username email');
+
+        let notified = 0;
+        for (const subscription of subscriptions) {
+            // Claim it first so concurrent restocks notify only once
+            const claimed = await StockSubscription.updateOne(
+                { _id: subscription._id, notifiedAt: null },
+                { notifiedAt: new Date() }
+            );
+            if (claimed.modifiedCount === 0 || !subscription.user) {
+                continue;
+            }
+
+            try {
+                await NotificationService.notifyBackInStock(subscription.user, product, variant);
+                notified += 1;
+            } catch (error) {
+                console.error(`Error sending back-in-stock notification ${subscription._id}:`, error.message);
+            }
+        }
+
+        return notified;
+    }
+
+    async alertLowStock(product, variant, stock, threshold) {
+        const staff = await User.find({
+            role: { $in: getRolesWithPermission(PERMISSIONS.INVENTORY_MANAGE) },
+            suspendedAt: null
+        }).select('username email');
+
+        for (const user of staff) {
+            try {
+                await NotificationService.notifyLowStock(user, product, variant, stock, threshold);
+            } catch (error) {
+                console.error(`Error sending low-stock alert to ${user._id}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = new StockAlertService();
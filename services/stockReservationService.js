@@ -0,0 +1,360 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const StockReservation = require('../models/StockReservation');
+const InventoryService = require('./inventoryService');
+const { AppError } = require('../middleware/errorMiddleware');
+
+// Attempts at a compare-and-set reservation before giving up
+const RESERVE_RETRIES = 3;
+
+// A negative quantity would pass the stock check and lower reserved
+const assertQuantity = (quantity) => {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new AppError('Quantity must be a positive whole number', 400);
+    }
+};
+
+const sameLine = (reservation, productId, variantId) =>
+    reservation.product.toString() === productId.toString() &&
+    String(reservation.variant || '') === String(variantId || '');
+
+// Reservations hold stock while a customer checks out, so two customers
+// cannot both buy the last unit. Units are counted in the product's (or
+// variant's) reserved field; the reservation documents say who holds them.
+class StockReservationService {
+    constructor() {
+        this.ttlMinutes = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15;
+    }
+
+    getExpiry() {
+        return new Date(Date.now() + this.ttlMinutes * 60 * 1000);
+    }
+
+    // Reserve units of a stock line. Taking units is a compare-and-set on
+    // stock and reserved, so concurrent checkouts cannot over-reserve.
+    async reserveUnits(productId, variantId, quantity) {
+        assertQuantity(quantity);
+
+        for (let attempt = 0; attempt < RESERVE_RETRIES; attempt++) {
+            const product = await Product.findById(productId).select('name status deletedAt stock reserved variants');
+            if (!product) {
+                throw new AppError(`Product ${productId} not found`, 404);
+            }
+
+            if (!product.isVisible()) {
+                throw new AppError(`Product ${product.name} is no longer available`, 400);
+            }
+
+            const variant = product.getVariant(variantId);
+            if (variantId && !variant) {
+                throw new AppError(`Variant ${variantId} of product ${product.name} not found`, 404);
+            }
+
+            const line = variant || product;
+            if (line.stock - (line.reserved || 0) < quantity) {
+                throw new AppError(`Insufficient stock for product ${product.name}`, 400);
+            }
+
+            // Documents created before reservations have no reserved field
+            const reserved = line.reserved || { $in: [0, null] };
+            const filter = variant
+                ? { _id: product._id, variants: { $elemMatch: { _id: variant._id, stock: line.stock, reserved } } }
+                : { _id: product._id, stock: line.stock, reserved };
+            const path = variant ? 'variants.$.reserved' : 'reserved';
+
+            const result = await Product.updateOne(filter, { $inc: { [path]: quantity } });
+            if (result.modifiedCount === 1) {
+                return;
+            }
+        }
+
+        throw new AppError('Stock changed while reserving, try again', 409);
+    }
+
+    // Give reserved units back to the available stock
+    async releaseUnits(productId, variantId, quantity) {
+        const result = variantId
+            ? await Product.updateOne(
+                { _id: productId, variants: { $elemMatch: { _id: variantId, reserved: { $gte: quantity } } } },
+                { $inc: { 'variants.$.reserved': -quantity } }
+            )
+            : await Product.updateOne(
+                { _id: productId, reserved: { $gte: quantity } },
+                { $inc: { reserved: -quantity } }
+            );
+
+        if (result.modifiedCount === 0) {
+            console.error(`Reserved count of product ${productId} is lower than a released reservation`);
+        }
+    }
+
+    // Reserve units and record who holds them; the units are given back
+    // if the record cannot be saved
+    async createReservation(fields) {
+        await this.reserveUnits(fields.product, fields.variant, fields.quantity);
+        try {
+            return await StockReservation.create(fields);
+        } catch (error) {
+            await this.releaseUnits(fields.product, fields.variant, fields.quantity);
+            throw error;
+        }
+    }
+
+    // Delete a reservation and free its units; safe to call concurrently,
+    // only the caller that deletes the document releases the units
+    async release(reservation) {
+        const deleted = await StockReservation.findOneAndDelete({ _id: reservation._id });
+        if (deleted) {
+            await this.releaseUnits(deleted.product, deleted.variant, deleted.quantity);
+        }
+        return deleted;
+    }
+
+    async releaseFor(holder) {
+        const reservations = await StockReservation.find(holder);
+        for (const reservation of reservations) {
+            await this.release(reservation);
+        }
+    }
+
+    findActive(holder) {
+        return StockReservation.find({ ...holder, expiresAt: { $gt: new Date() } });
+    }
+
+    // Units of a line held by the given reservations, e.g. so a customer's
+    // own checkout does not count against them
+    heldQuantity(reservations, productId, variantId) {
+        return reservations
+            .filter(reservation => sameLine(reservation, productId, variantId))
+            .reduce((total, reservation) => total + reservation.quantity, 0);
+    }
+
+    // Hold every cart line at the start of checkout, all or nothing.
+    // Starting checkout again replaces the previous reservations.
+    async reserveCart(cart) {
+        await this.releaseFor({ cart: cart._id });
+
+        const expiresAt = this.getExpiry();
+        const reservations = [];
+
+        try {
+            for (const item of cart.items) {
+                if (!item.product) {
+                    throw new AppError('A product in your cart is no longer available', 400);
+                }
+
+                const productId = item.product._id || item.product;
+                reservations.push(await this.createReservation({
+                    user: cart.user,
+                    cart: cart._id,
+                    product: productId,
+                    variant: item.variant,
+                    quantity: item.quantity,
+                    expiresAt
+                }));
+            }
+        } catch (error) {
+            await this.releaseFor({ cart: cart._id });
+            throw error;
+        }
+
+        return { reservations, expiresAt };
+    }
+
+    // Move the user's cart reservations onto a new order, reserving whatever
+    // the cart did not hold; lines the order does not need are released
+    async holdForOrder(order, cartId = null) {
+        const held = cartId ? await this.findActive({ cart: cartId }) : [];
+        const expiresAt = this.getExpiry();
+
+        try {
+            for (const item of order.orderItems) {
+                assertQuantity(item.quantity);
+                const index = held.findIndex(reservation => sameLine(reservation, item.product, item.variant));
+                const reservation = index > -1 ? held.splice(index, 1)[0] : null;
+
+                if (!reservation) {
+                    await this.createReservation({
+                        user: order.user,
+                        order: order._id,
+                        product: item.product,
+                        variant: item.variant,
+                        quantity: item.quantity,
+                        expiresAt
+                    });
+                    continue;
+                }
+
+                const difference = item.quantity - reservation.quantity;
+                if (difference > 0) {
+                    await this.reserveUnits(item.product, item.variant, difference);
+                }
+
+                // Only move it if it has not expired or been released meanwhile
+                const moved = await StockReservation.updateOne(
+                    { _id: reservation._id, cart: cartId },
+                    { cart: null, order: order._id, quantity: item.quantity, expiresAt }
+                );
+                if (moved.modifiedCount === 0) {
+                    if (difference > 0) {
+                        await this.releaseUnits(item.product, item.variant, difference);
+                    }
+                    throw new AppError('Your checkout reservation expired, please try again', 409);
+                }
+
+                if (difference < 0) {
+                    await this.releaseUnits(item.product, item.variant, -difference);
+                }
+            }
+        } catch (error) {
+            await this.releaseFor({ order: order._id });
+            throw error;
+        }
+
+        for (const reservation of held) {
+            await this.release(reservation);
+        }
+
+        return expiresAt;
+    }
+
+    // Turn an order's reservations into sales once it is paid. Lines whose
+    // reservation expired are reserved again if stock allows; otherwise the
+    // whole sale is undone and an error is thrown.
+    async commitOrder(order, actor = null) {
+        const reservations = await StockReservation.find({ order: order._id });
+        const applied = [];
+
+        try {
+            for (const item of order.orderItems) {
+                const productId = item.product._id || item.product;
+                const reservation = reservations.find(candidate => sameLine(candidate, productId, item.variant));
+
+                const deleted = reservation && await StockReservation.findOneAndDelete({ _id: reservation._id });
+                if (!deleted) {
+                    await this.reserveUnits(productId, item.variant, item.quantity);
+                } else if (deleted.quantity !== item.quantity) {
+                    await this.releaseUnits(productId, item.variant, deleted.quantity);
+                    await this.reserveUnits(productId, item.variant, item.quantity);
+                }
+
+                try {
+                    applied.push(await InventoryService.recordMovement({
+                        productId,
+                        variantId: item.variant,
+                        type: 'sale',
+                        quantity: -item.quantity,
+                        reason: `Order ${order._id}`,
+                        actor,
+                        order: order._id,
+                        releaseReserved: item.quantity
+                    }));
+                } catch (error) {
+                    await this.releaseUnits(productId, item.variant, item.quantity);
+                    throw error;
+                }
+            }
+        } catch (error) {
+            await InventoryService.reverseMovements(applied, 'Order could not be fulfilled');
+            await this.releaseFor({ order: order._id });
+            throw error;
+        }
+
+        return applied;
+    }
+
+    // Release reservations past their expiry. An unpaid order whose hold
+    // expires is cancelled together with its payment intent, so it cannot be
+    // paid for stock it no longer holds.
+    async releaseExpired() {
+        const expired = await StockReservation.find({ expiresAt: { $lte: new Date() } });
+        const orderIds = new Set();
+
+        for (const reservation of expired) {
+            if (reservation.order) {
+                orderIds.add(reservation.order.toString());
+            } else {
+                await this.release(reservation);
+            }
+        }
+
+        for (const orderId of orderIds) {
+            try {
+                await this.expireOrder(orderId);
+            } catch (error) {
+                console.error(`Error expiring reservations of order ${orderId}:`, error.message);
+            }
+        }
+
+        return expired.length;
+    }
+
+    // Record a successful payment: commit the order's stock and mark it
+    // paid. If the stock is gone the payment is refunded and the order cancelled.
+    async completePayment(order, paymentIntent, actor = null) {
+        // Claim the order first so a payment is never committed twice
+        const claimed = await Order.updateOne(
+            { _id: order._id, isPaid: false, status: { $ne: 'Cancelled' } },
+            { isPaid: true, paidAt: Date.now() }
+        );
+        if (claimed.modifiedCount === 0) {
+            throw new AppError('Order is already paid or cancelled', 400);
+        }
+
+        try {
+            await this.commitOrder(order, actor);
+        } catch (error) {
+            await stripe.refunds.create({ payment_intent: paymentIntent.id });
+            await Order.updateOne(
+                { _id: order._id },
+                { isPaid: false, status: 'Cancelled', $unset: { paidAt: 1 } }
+            );
+            throw new AppError(`${error.message}; the payment was refunded`, 409);
+        }
+
+        order.isPaid = true;
+        order.paidAt = Date.now();
+        order.paymentResult = {
+            id: paymentIntent.id,
+            status: paymentIntent.status,
+            update_time: paymentIntent.created,
+            email_address: paymentIntent.charges?.data[0]?.billing_details?.email
+        };
+
+        return order.save();
+    }
+
+    async expireOrder(orderId) {
+        const order = await Order.findById(orderId);
+        const isUnpaid = order && !order.isPaid && order.status === 'Pending';
+
+        if (isUnpaid && order.paymentResult && order.paymentResult.id) {
+            const paymentIntent = await stripe.paymentIntents.retrieve(order.paymentResult.id);
+
+            // Paid without the client confirming it: complete the order instead
+            if (paymentIntent.status === 'succeeded') {
+                await this.completePayment(order, paymentIntent);
+                return;
+            }
+
+            // Keep holding the stock until the payment settles
+            if (paymentIntent.status === 'processing') {
+                return;
+            }
+
+            if (paymentIntent.status !== 'canceled') {
+                await stripe.paymentIntents.cancel(paymentIntent.id);
+            }
+        }
+
+        if (isUnpaid) {
+            order.status = 'Cancelled';
+            await order.save();
+        }
+
+        await this.releaseFor({ order: orderId, expiresAt: { $lte: new Date() } });
+    }
+}
+
+module.exports = new StockReservationService();
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const User = require('../models/User');
+const { ROLES } = require('../config/roles');
+
+// Accept codes from the previous and next 30-second step for clock drift
+authenticator.options = { window: 1 };
+
+class TwoFactorService {
+    constructor() {
+        this.issuer = process.env.TWO_FACTOR_ISSUER || 'E-Commerce Store';
+        this.recoveryCodeCount = 10;
+    }
+
+    // Staff accounts must use 2FA unless TWO_FACTOR_REQUIRED_FOR_STAFF=false
+    isRequiredFor(user) {
+        if (process.env.TWO_FACTOR_REQUIRED_FOR_STAFF === 'false') {
+            return false;
+        }
+        return Boolean(user) && user.role !== ROLES.CUSTOMER;
+    }
+
+    // Create a new secret with its otpauth URI and QR code
+    async generateSetup(user) {
+        const secret = authenticator.generateSecret();
+        const otpauthUrl = authenticator.keyuri(user.email, this.issuer, secret);
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        return { secret, otpauthUrl, qrCode };
+    }
+
+    // Time step a code was generated in, or null when it does not match
+    matchStep(secret, code) {
+        if (!secret || !code) {
+            return null;
+        }
+
+        const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+        if (delta === null) {
+            return null;
+        }
+
+        const stepSeconds = authenticator.options.step || 30;
+        return Math.floor(Date.now() / 1000 / stepSeconds) + delta;
+    }
+
+    // Check a code and record its time step on the user. A code is accepted
+    // once: codes from the last accepted step or earlier are rejected, and
+    // the step is claimed atomically so concurrent requests cannot share it.
+    async verifyCode(user, secret, code) {
+        const step = this.matchStep(secret, code);
+        if (step === null) {
+            return false;
+        }
+
+        const claimed = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { 'twoFactor.lastUsedStep': null },
+                    { 'twoFactor.lastUsedStep': { $lt: step } }
+                ]
+            },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        return claimed.modifiedCount === 1;
+    }
+
+    hashRecoveryCode(code) {
+        return crypto
+            .createHash('sha256')
+            .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+            .digest('hex');
+    }
+
+    // Generate plain recovery codes and the hashes to persist
+    generateRecoveryCodes() {
+        const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        return {
+            codes,
+            hashes: codes.map(code => this.hashRecoveryCode(code))
+        };
+    }
+
+    // Remove a recovery code from the user if it matches; codes are one-time.
+    // Like the time step in verifyCode, the code is claimed atomically so
+    // concurrent logins cannot both spend it.
+    async consumeRecoveryCode(user, code) {
+        const hash = this.hashRecoveryCode(code);
+
+        const claimed = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } }
+        );
+        return claimed.modifiedCount === 1;
+    }
+
+    // Short-lived token proving the password step of a login succeeded
+    generateChallengeToken(userId) {
+        return jwt.sign(
+            { id: userId, purpose: '2fa' },
+            process.env.JWT_SECRET,
+            { expiresIn: '5m' }
+        );
+    }
+
+    verifyChallengeToken(token) {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== '2fa') {
+            throw new Error('Invalid two-factor challenge');
+        }
+        return decoded;
+    }
+}
+
+module.exports = new TwoFactorService();
@@ -1,5 +1,7 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
+const SessionService = require('./sessionService');
+const { isEmailVerificationRequired } = require('../middleware/authMiddleware');
+const { PERMISSIONS, getRolesWithPermission } = require('../config/roles');
 const User = require('../models/User');
 const Ticket = require('../models/Ticket');
 const Notification = require('../models/Notification');
@@ -50,16 +52,16 @@ class WebSocketService {
         }
 
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.id);
-
-            if (!user) {
-                return next(new Error('User not found'));
-            }
+            // Rejects expired tokens and tokens whose session was revoked
+            const { user, session } = await SessionService.verifyAccessToken(token);
 
             socket.user = user;
+            socket.sessionId = session._id.toString();
             next();
         } catch (error) {
+            if (error.isOperational) {
+                return next(new Error(error.message));
+            }
             return next(new Error('Authentication error'));
         }
     }
@@ -68,6 +70,10 @@ class WebSocketService {
         // Listen for new ticket creation request
         socket.on('create_ticket', async (ticketData) => {
             try {
+                if (isEmailVerificationRequired('tickets') && !socket.user.emailVerified) {
+                    return socket.emit('ticket_error', 'Please verify your email address before continuing');
+                }
+
                 const ticket = new Ticket({
                     ...ticketData,
                     user: socket.user._id
@@ -102,7 +108,9 @@ class WebSocketService {
     }
 
     async getAdminSockets() {
-        const adminUsers = await User.find({ isAdmin: true });
+        const adminUsers = await User.find({ 
+            role: { $in: getRolesWithPermission(PERMISSIONS.TICKETS_READ_ALL) } 
+        });
         return adminUsers
             .map(admin => this.userSockets.get(admin._id.toString()))
             .filter(socket => socket !== undefined);
@@ -138,6 +146,16 @@ class WebSocketService {
         }
     }
 
+    // Drop the live connection of a user, e.g. after suspension
+    disconnectUser(userId) {
+        const userSocket = this.userSockets.get(userId.toString());
+        if (userSocket) {
+            userSocket.emit('force_logout');
+            userSocket.disconnect(true);
+            this.userSockets.delete(userId.toString());
+        }
+    }
+
     // Get active connections
     getActiveConnections() {
         return Array.from(this.userSockets.keys());
@@ -0,0 +1,4 @@
+// Escape user input so it can be embedded in a RegExp literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
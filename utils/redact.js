@@ -0,0 +1,24 @@
+// Headers and body fields that carry credentials: passwords, tokens,
+// two-factor codes, API keys and session cookies
+const SENSITIVE_KEY = /^(authorization|cookie|x-api-key|code|recoverycode)$|password|token|secret/i;
+
+const REDACTED = '[REDACTED]';
+
+// Copy of headers, a request body or query for logging, with credentials
+// replaced at any depth
+const redact = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+            key,
+            SENSITIVE_KEY.test(key) ? REDACTED : redact(entry)
+        ]));
+    }
+
+    return value;
+};
+
+module.exports = redact;
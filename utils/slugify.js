@@ -0,0 +1,10 @@
+// Turn a display name into a URL-safe slug, e.g. "Men's Shoes" -> "mens-shoes"
+const slugify = (value) => String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+module.exports = slugify;